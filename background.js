@@ -1,17 +1,51 @@
 // Background service worker for managing multiple monitors (multiple per tab supported)
 
+// JSON path conditions for JSON API monitors, and active-hours schedules
+importScripts('jsonpath.js', 'schedule.js');
+
 let creatingOffscreen = false;
 
-// In-memory timers for each tab (one timer per tab, uses shortest interval)
+// In-memory timers for each tab (one timer per tab, uses shortest interval).
+// Each is backed by a persistent alarm, since they're lost when the worker is suspended.
 const refreshTimers = new Map();
 
+// Timer keys whose check is being dispatched right now (see runScheduledCheck)
+const runningChecks = new Set();
+
 // Tabs being intentionally closed for InPrivate session reset (don't clean up monitors)
 const tabsBeingReset = new Set();
 
-// Watchdog timer to detect stuck refreshes
-let stuckWatchdogTimer = null;
-const STUCK_THRESHOLD_MS = 30000; // Consider stuck if 30 seconds past expected refresh
-const WATCHDOG_CHECK_INTERVAL_MS = 10000; // Check every 10 seconds
+// Heartbeat alarm: catches up on due checks and detects stuck refreshes
+const HEARTBEAT_ALARM = 'heartbeat';
+const HEARTBEAT_PERIOD_MIN = 0.5; // The shortest period chrome.alarms allows
+let heartbeatRunning = false;
+const STUCK_THRESHOLD_MS = 30000; // Consider stuck if a dispatched refresh hasn't reported back in 30 seconds (plus its readiness wait)
+
+// How late each check ran (see recordCheckRun)
+const MAX_LATENESS_LOG = 20;
+
+// Per-host politeness across all monitors (see claimHostSlot); 0 turns a limit off
+const DEFAULT_MIN_SPACING_S = 2;
+const DEFAULT_MAX_PER_MINUTE = 30;
+const MAX_MIN_SPACING_S = 300;
+const MAX_PER_MINUTE_LIMIT = 600;
+
+// Live monitors re-check on DOM changes, so their tab is only reloaded as a safety net
+const LIVE_SAFETY_RELOAD_S = 600;
+
+// Retry delays after consecutive errors (see monitorDelayS)
+const BACKOFF_STEPS_S = [5, 10, 20, 40, 120];
+// A site's Retry-After is honoured up to this long, so monitoring never stalls for days
+const MAX_RETRY_AFTER_S = 3600;
+
+// Confirmation re-checks before a monitor fires (see confirmMatch)
+const MAX_CONFIRM_COUNT = 5;
+const CONFIRM_DELAY_MS = 1500; // Wait between re-checks
+const CONFIRM_STALE_MS = 120000; // A confirmation with no re-check started for this long was cut short (service worker restart)
+
+// Re-arming monitors (see dismissFoundMonitor)
+const DEFAULT_COOLDOWN_S = 300;
+const MAX_FIRE_LOG = 50;
 
 // --- Console Log Capture ---
 const MAX_LOG_ENTRIES = 500;
@@ -82,8 +116,8 @@ async function ensureOffscreenDocument() {
   try {
     await chrome.offscreen.createDocument({
       url: 'offscreen.html',
-      reasons: ['AUDIO_PLAYBACK'],
-      justification: 'Play alarm sound when search text is found'
+      reasons: ['AUDIO_PLAYBACK', 'DOM_PARSER'],
+      justification: 'Play alarm sound when search text is found, and parse pages fetched by background monitors'
     });
   } catch (e) {
     wdLog('Offscreen document may already exist:', e);
@@ -99,6 +133,9 @@ async function playAlarmSound() {
 async function stopAlarmSound() {
   try {
     chrome.runtime.sendMessage({ action: 'stopAlarm' });
+    // Background monitors still need the offscreen document to parse pages
+    const monitors = await getMonitors();
+    if (Object.values(monitors).some(m => m.kind === 'background' && !m.found)) return;
     await chrome.offscreen.closeDocument();
     wdLog('Offscreen document closed');
   } catch (e) {
@@ -140,10 +177,90 @@ async function addToHistory(monitor) {
   await saveHistory(history);
 }
 
+// A new monitor for url, defined by a startMonitoring or updateGroup message
+function buildMonitor(id, source, url, tabId, title, groupId) {
+  const interval = source.refreshInterval || 15;
+  return {
+    id: id,
+    tabId: tabId,
+    searchText: source.searchText,
+    searchTerms: source.searchTerms || [{ term: source.searchText, operator: null }],
+    interval: interval,
+    url: url,
+    title: title,
+    ...monitorSettings(source),
+    groupId: groupId || null,
+    found: false,
+    foundAt: null,
+    isIncognito: false,
+    backoffLevel: 0,
+    nextRefreshTime: Date.now() + (interval * 1000) + 2000
+  };
+}
+
+// Optional per-monitor settings chosen in the popup, with defaults for older monitors/configs.
+// Shared by startMonitoring, saveConfig and restoreConfig so new settings survive round-trips.
+function monitorSettings(source) {
+  return {
+    selector: source.selector || '',
+    matchMode: source.matchMode === 'absent' ? 'absent' : 'present',
+    matchOptions: source.matchOptions || {},
+    type: ['change', 'json'].includes(source.type) ? source.type : 'text',
+    ignoreRules: source.ignoreRules || [],
+    deepScan: !!source.deepScan,
+    readiness: normalizeReadiness(source.readiness),
+    live: !!source.live,
+    // JSON endpoints are always fetched in the background
+    kind: source.kind === 'background' || source.type === 'json' ? 'background' : 'tab',
+    jsonCondition: source.jsonCondition || '',
+    confirmCount: Math.min(Math.max(parseInt(source.confirmCount) || 0, 0), MAX_CONFIRM_COUNT),
+    confirmBypassCache: !!source.confirmBypassCache,
+    rearm: !!source.rearm,
+    cooldown: Number.isFinite(parseInt(source.cooldown)) ? Math.max(parseInt(source.cooldown), 0) : DEFAULT_COOLDOWN_S,
+    // Random ± seconds around the interval (see jitteredIntervalS)
+    jitter: Math.max(parseFloat(source.jitter) || 0, 0),
+    // Active hours (schedule.js); null checks around the clock
+    schedule: normalizeSchedule(source.schedule),
+    // Drop time with ramp profile and decay (schedule.js); null for none, and for live monitors
+    launch: source.live ? null : normalizeLaunch(source.launch)
+  };
+}
+
+// A stored readiness strategy with its waits capped at MAX_READINESS_MS (content.js fills in defaults)
+function normalizeReadiness(readiness) {
+  if (!readiness || !['delay', 'selector', 'quiet'].includes(readiness.strategy)) return null;
+  const r = { ...readiness };
+  for (const key of ['delay', 'quietMs', 'timeout']) {
+    if (r[key] === undefined) continue;
+    const ms = parseInt(r[key], 10);
+    if (Number.isFinite(ms) && ms >= 0) r[key] = Math.min(ms, MAX_READINESS_MS);
+    else delete r[key];
+  }
+  return r;
+}
+
+// Injected into every frame of a deep-scan tab to read text the top frame's content
+// script can't reach (cross-origin iframes). Must be self-contained.
+function readFrameText() {
+  const parts = [document.body ? document.body.innerText : ''];
+  const visit = (root) => {
+    for (const el of root.querySelectorAll('*')) {
+      if (!el.shadowRoot) continue;
+      for (const child of el.shadowRoot.children) {
+        if (!['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(child.tagName)) parts.push(child.innerText || '');
+      }
+      visit(el.shadowRoot);
+    }
+  };
+  if (document.body) visit(document.body);
+  return { url: location.href, text: parts.join('\n') };
+}
+
 // Get active (not found) monitors for a tab
 async function getActiveMonitorsForTab(tabId, monitors) {
   if (!monitors) monitors = await getMonitors();
   const result = {};
+  if (tabId === null || tabId === undefined) return result; // Background monitors have no tab
   for (const [id, monitor] of Object.entries(monitors)) {
     if (monitor.tabId === tabId && !monitor.found) result[id] = monitor;
   }
@@ -165,6 +282,9 @@ async function handleErrorPageRetry(tabId, url) {
   const firstMonitor = Object.values(activeTabMonitors)[0];
   const originalUrl = firstMonitor?.url || url;
   const isIncognito = firstMonitor?.isIncognito || false;
+  // Only an error status explains the failure (a 200 may be left over from an earlier load)
+  const http = tabHttpStatus.get(tabId);
+  const level = await raiseTabBackoff(tabId, http && http.error ? http : null);
   
   if (isIncognito) {
     // All InPrivate windows share one session - must close ALL to truly reset.
@@ -260,8 +380,9 @@ async function handleErrorPageRetry(tabId, url) {
           const savedGeometry = await getWindowGeometry(tabInfo.url);
           const useGeometry = savedGeometry || geometry;
 
+          // The window opens blank: the page itself loads when the backoff ends
           const newWindow = await chrome.windows.create({
-            url: tabInfo.url,
+            url: 'about:blank',
             incognito: true,
             focused: false,
             left: useGeometry.left,
@@ -278,11 +399,8 @@ async function handleErrorPageRetry(tabId, url) {
           wdLog('Reopened InPrivate window at', JSON.stringify(useGeometry), 'with tab:', newTabId);
           
           // Update monitors to point to the new tab
-          for (const { id, monitor } of tabInfo.monitors) {
-            if (updatedMonitors[id]) {
-              updatedMonitors[id].tabId = newTabId;
-              updatedMonitors[id].nextRefreshTime = Date.now() + (monitor.interval * 1000) + 3000;
-            }
+          for (const { id } of tabInfo.monitors) {
+            if (updatedMonitors[id]) updatedMonitors[id].tabId = newTabId;
           }
           
           await saveMonitors(updatedMonitors);
@@ -293,32 +411,128 @@ async function handleErrorPageRetry(tabId, url) {
       }
     }
     
-    return { status: 'inprivate-full-reset', windowsReset: windowIds.length };
+    return { status: 'inprivate-full-reset', windowsReset: windowIds.length, backoffLevel: level };
   } else {
-    // Normal tab: just navigate back to the original URL
+    // Normal tab: the refresh timer navigates back to the original URL once the backoff ends
     wdLog('Error page detected on tab', tabId, '- will retry with original URL:', originalUrl);
-    
-    try {
-      await chrome.tabs.update(tabId, { url: originalUrl });
-      wdLog('Navigated tab', tabId, 'back to original URL');
-    } catch (e) {
-      wdLog('Could not navigate tab back to original URL:', e);
-    }
-    
-    // Schedule refresh so monitoring continues
     await scheduleRefreshForTab(tabId);
     
-    return { status: 'retrying' };
+    return { status: 'retrying', backoffLevel: level };
+  }
+}
+
+// --- HTTP Status ---
+// Main-frame status codes and Retry-After headers classify error pages more reliably than
+// the body text: a 429 can look like a normal page, and a normal page can mention "access denied".
+
+// 'throttled' (429, 503), 'blocked' (401, 403), 'server' (other 5xx), or null when the
+// page should be checked as usual. 404/410 stay checkable: drop pages often 404 until launch.
+function classifyHttpStatus(status) {
+  if (status === 429 || status === 503) return 'throttled';
+  if (status === 401 || status === 403) return 'blocked';
+  if (status >= 500) return 'server';
+  return null;
+}
+
+// Retry-After is either delay-seconds or an HTTP date; returns seconds (capped) or null
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = /^\s*\d+\s*$/.test(value) ? parseInt(value, 10) : (Date.parse(value) - Date.now()) / 1000;
+  if (!Number.isFinite(seconds)) return null;
+  return Math.min(Math.max(Math.ceil(seconds), 0), MAX_RETRY_AFTER_S);
+}
+
+// Last main-frame response per tab: { status, error, retryAfterS, url }. In memory only,
+// since it's read right after the page loads (getStatus, errorPageDetected).
+const tabHttpStatus = new Map();
+
+// --- Backoff ---
+// Error pages, failed navigations and failed background fetches back off per monitor:
+// backoffLevel counts consecutive failures and picks the next BACKOFF_STEPS_S step, which is
+// added to the monitor's own interval so every failure waits longer. A healthy load resets it.
+// A Retry-After from the site (retryAt) overrides both.
+
+// The monitor's interval, moved randomly within ± its jitter each time it's scheduled,
+// so refreshes don't follow a machine-regular beat
+function jitteredIntervalS(monitor) {
+  const jitter = Math.min(monitor.jitter || 0, monitor.interval - 1);
+  if (jitter <= 0) return monitor.interval;
+  return Math.round(monitor.interval + (Math.random() * 2 - 1) * jitter);
+}
+
+// The monitor's interval right now: jittered, and tightened around a launch (schedule.js)
+function currentIntervalS(monitor) {
+  const baseS = jitteredIntervalS(monitor);
+  const launchS = monitor.launch ? launchIntervalS(monitor.launch, baseS, Date.now()) : null;
+  return launchS === null ? baseS : launchS;
+}
+
+// Seconds until a monitor's next check: its current interval, stretched while backing off
+function monitorDelayS(monitor) {
+  const untilRetryMs = (monitor.retryAt || 0) - Date.now();
+  if (untilRetryMs > 0) return Math.max(1, Math.ceil(untilRetryMs / 1000));
+  const level = monitor.backoffLevel || 0;
+  if (level === 0) return monitor.live ? LIVE_SAFETY_RELOAD_S : currentIntervalS(monitor);
+  const backoff = BACKOFF_STEPS_S[Math.min(level, BACKOFF_STEPS_S.length) - 1];
+  // Live monitors on a broken page retry on the backoff alone, not the safety reload
+  return monitor.live ? backoff : currentIntervalS(monitor) + backoff;
+}
+
+// When a monitor's next check is due: delayMs from now, unless that falls outside its
+// active schedule, in which case it sleeps (sleepingUntil) until the next window opens
+function nextCheckTime(monitor, delayMs, now) {
+  const at = now + delayMs;
+  const wake = isScheduleActive(monitor.schedule, at) ? null : nextScheduleStart(monitor.schedule, at);
+  monitor.sleepingUntil = wake;
+  return wake || at;
+}
+
+// Raise the backoff of the tab's active monitors after an error; returns the new level.
+// http is the failing main-frame response, if the error came with one (see tabHttpStatus).
+async function raiseTabBackoff(tabId, http) {
+  const monitors = await getMonitors();
+  const retryAt = http && http.retryAfterS !== null ? Date.now() + http.retryAfterS * 1000 : null;
+  let level = 0;
+  for (const monitor of Object.values(monitors)) {
+    if (monitor.tabId !== tabId || monitor.found) continue;
+    monitor.backoffLevel = (monitor.backoffLevel || 0) + 1;
+    monitor.httpStatus = http ? http.status : null;
+    monitor.retryAt = retryAt;
+    level = Math.max(level, monitor.backoffLevel);
+  }
+  await saveMonitors(monitors);
+  if (level > 0) wdLog('⏳ Backoff #' + level, 'for tab', tabId, http ? '(HTTP ' + http.status + ')' : '');
+  if (retryAt) wdLog('⏳ Honouring Retry-After of', http.retryAfterS + 's', 'for tab', tabId);
+  return level;
+}
+
+// A healthy load ends the backoff of the tab's monitors
+async function resetTabBackoff(tabId) {
+  const monitors = await getMonitors();
+  let changed = false;
+  for (const monitor of Object.values(monitors)) {
+    if (monitor.tabId === tabId && (monitor.backoffLevel > 0 || monitor.retryAt)) {
+      monitor.backoffLevel = 0;
+      monitor.httpStatus = null;
+      monitor.retryAt = null;
+      changed = true;
+    }
+  }
+  if (changed) {
+    await saveMonitors(monitors);
+    wdLog('⏳ Backoff reset after a healthy load on tab', tabId);
   }
 }
 
-// Clear timer for a specific tab
+// Clear timer (and its alarm) for a specific tab, or a background monitor's 'bg:' key
 function clearTabTimer(tabId) {
+  if (tabId === null || tabId === undefined) return;
   const timer = refreshTimers.get(tabId);
   if (timer) {
     clearTimeout(timer);
     refreshTimers.delete(tabId);
   }
+  chrome.alarms.clear(alarmNameForKey(tabId));
 }
 
 // Get a short label for a tab (title or hostname, fallback to tabId)
@@ -331,16 +545,20 @@ async function getTabLabel(tabId) {
   return 'tab ' + tabId;
 }
 
-// Schedule refresh for a tab (uses shortest interval among active monitors)
+// Schedule refresh for a tab (uses the soonest next check among active monitors;
+// live monitors only ask for the occasional safety reload, and monitors outside their
+// active hours are parked until their next window opens)
 async function scheduleRefreshForTab(tabId) {
+  if (tabId === null || tabId === undefined) return; // Background monitors use scheduleBackgroundCheck
   const allMonitors = await getMonitors();
   const monitorIds = [];
-  let shortestInterval = Infinity;
+  const now = Date.now();
+  let nextRefreshTime = Infinity;
   
   for (const [id, monitor] of Object.entries(allMonitors)) {
     if (monitor.tabId === tabId && !monitor.found) {
       monitorIds.push(id);
-      if (monitor.interval < shortestInterval) shortestInterval = monitor.interval;
+      nextRefreshTime = Math.min(nextRefreshTime, nextCheckTime(monitor, monitorDelayS(monitor) * 1000, now));
     }
   }
   
@@ -351,43 +569,687 @@ async function scheduleRefreshForTab(tabId) {
   
   clearTabTimer(tabId);
   
-  const intervalMs = shortestInterval * 1000;
-  const nextRefreshTime = Date.now() + intervalMs;
-  
   for (const id of monitorIds) {
     allMonitors[id].nextRefreshTime = nextRefreshTime;
   }
   await saveMonitors(allMonitors);
   
   const label = await getTabLabel(tabId);
-  wdLog('⏱️ Next refresh in', shortestInterval + 's:', label);
+  const first = allMonitors[monitorIds[0]];
+  if (monitorIds.every(id => allMonitors[id].sleepingUntil)) {
+    wdLog('💤 Sleeping until', formatScheduleWake(nextRefreshTime, first.schedule.timeZone) + ':', label);
+  } else {
+    wdLog('⏱️ Next refresh in', Math.round((nextRefreshTime - now) / 1000) + 's:', label);
+  }
   
-  const timer = setTimeout(async () => {
-    try {
-      const monitors = await getMonitors();
-      const hasActive = Object.values(monitors).some(m => m.tabId === tabId && !m.found);
-      if (!hasActive) return;
-      
-      const lbl = await getTabLabel(tabId);
-      await chrome.tabs.get(tabId);
+  armTimer(tabId, nextRefreshTime);
+}
+
+// Reload a tab whose refresh is due (see runScheduledCheck)
+async function refreshTab(tabId) {
+  try {
+    const monitors = await getMonitors();
+    const hasActive = Object.values(monitors).some(m => m.tabId === tabId && !m.found);
+    if (!hasActive) return;
+    // Confirmation re-checks reschedule the tab when they finish
+    if (Object.values(monitors).some(m => m.tabId === tabId && m.confirmingSince)) return;
+    
+    const lbl = await getTabLabel(tabId);
+    const tab = await chrome.tabs.get(tabId);
+    // After errors, and in the blank windows an InPrivate reset reopens, load the
+    // monitored URL rather than reloading whatever the tab shows
+    const first = Object.values(monitors).find(m => m.tabId === tabId && !m.found);
+    if (first.backoffLevel > 0 || tab.url === 'about:blank') {
+      wdLog('🔄 Retrying' + (first.backoffLevel > 0 ? ' after backoff #' + first.backoffLevel : '') + ':', lbl);
+      chrome.tabs.update(tabId, { url: first.url });
+    } else {
       wdLog('🔄 Refreshing:', lbl);
       chrome.tabs.reload(tabId);
-    } catch (e) {
-      wdLog('Tab no longer exists, removing monitors:', tabId);
-      const monitors = await getMonitors();
-      let changed = false;
-      for (const [id, monitor] of Object.entries(monitors)) {
-        if (monitor.tabId === tabId) { delete monitors[id]; changed = true; }
-      }
-      if (changed) await saveMonitors(monitors);
-      clearTabTimer(tabId);
     }
-  }, intervalMs);
+  } catch (e) {
+    wdLog('Tab no longer exists, removing monitors:', tabId);
+    const monitors = await getMonitors();
+    let changed = false;
+    for (const [id, monitor] of Object.entries(monitors)) {
+      if (monitor.tabId === tabId) { delete monitors[id]; changed = true; }
+    }
+    if (changed) await saveMonitors(monitors);
+    clearTabTimer(tabId);
+  }
+}
+
+// Record a tab monitor's find (details from the content script), sound the alarm
+// and bring its tab to the front. Returns the time it was found.
+async function markTabMonitorFound(monitorId, details) {
+  wdLog('Content FOUND! Playing alarm...');
+  playAlarmSound();
   
-  refreshTimers.set(tabId, timer);
+  const foundAt = Date.now();
+  const monitors = await getMonitors();
   
-  // Start the stuck watchdog if not already running
-  startStuckWatchdog();
+  if (monitors[monitorId]) {
+    monitors[monitorId].found = true;
+    monitors[monitorId].foundAt = foundAt;
+    monitors[monitorId].nextRefreshTime = null;
+    if (details.diff) monitors[monitorId].diff = details.diff;
+    if (details.counts) monitors[monitorId].matchCounts = details.counts;
+    if (details.matchSource) monitors[monitorId].matchSource = details.matchSource;
+    if (details.context) monitors[monitorId].context = details.context;
+    recordRearmFire(monitors[monitorId], details);
+    await saveMonitors(monitors);
+    
+    const tabId = monitors[monitorId].tabId;
+    
+    // Focus the tab and bring window to front
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      // Bring the window to the front and focus it
+      await chrome.windows.update(tab.windowId, { focused: true });
+      // Focus the specific tab
+      await chrome.tabs.update(tabId, { active: true });
+      wdLog('Focused tab and window for found content');
+    } catch (e) {
+      wdLog('Could not focus tab/window:', e);
+    }
+    
+    // Reschedule for remaining active monitors
+    await scheduleRefreshForTab(tabId);
+  }
+  
+  wdLog('Content FOUND - State saved for monitor:', monitorId);
+  return foundAt;
+}
+
+// --- Background Monitors ---
+// kind: 'background' monitors have no tab. The service worker fetches the URL and the
+// offscreen document parses it (DOMParser + matcher.js); a tab only opens when one fires.
+// Their timers live in refreshTimers (and alarms) under 'bg:<monitorId>'.
+
+function backgroundTimerKey(monitorId) {
+  return 'bg:' + monitorId;
+}
+
+// Schedule the next fetch for a background monitor (delayMs defaults to its interval)
+async function scheduleBackgroundCheck(monitorId, delayMs) {
+  const key = backgroundTimerKey(monitorId);
+  clearTabTimer(key);
+
+  const monitors = await getMonitors();
+  const monitor = monitors[monitorId];
+  if (!monitor || monitor.found) return;
+
+  const intervalMs = delayMs !== undefined ? delayMs : monitorDelayS(monitor) * 1000;
+  monitor.nextRefreshTime = nextCheckTime(monitor, intervalMs, Date.now());
+  await saveMonitors(monitors);
+  if (monitor.sleepingUntil) wdLog('💤 Background monitor', monitorId, 'sleeping until', formatScheduleWake(monitor.sleepingUntil, monitor.schedule.timeZone));
+
+  armTimer(key, monitor.nextRefreshTime);
+}
+
+// Keep matched JSON fragments small enough for chrome.storage.local
+const MAX_JSON_FRAGMENT_CHARS = 2000;
+
+// Evaluate a JSON API monitor's path condition against the fetched body (jsonpath.js).
+// Returns the same shape as the offscreen document's HTML evaluation.
+function evaluateJsonMonitor(monitor, body) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (e) {
+    return { error: 'Response is not valid JSON' };
+  }
+
+  const { matched, value, fragment } = evaluateJsonCondition(monitor.jsonCondition, data);
+  const fires = monitor.matchMode === 'absent' ? !matched : matched;
+  return {
+    regionMissing: false,
+    fires,
+    // Objects are shown on the card as (truncated) JSON
+    value: value === null || typeof value !== 'object' ? value : JSON.stringify(value).substring(0, 80),
+    jsonFragment: fires ? JSON.stringify(fragment, null, 2).substring(0, MAX_JSON_FRAGMENT_CHARS) : null
+  };
+}
+
+// Remember why a background check failed (shown on the card) and try again after a backoff,
+// or after the site's Retry-After when it sent one
+async function recordBackgroundError(monitorId, error, retryAfterS) {
+  const monitors = await getMonitors();
+  if (monitors[monitorId]) {
+    monitors[monitorId].lastError = error;
+    monitors[monitorId].backoffLevel = (monitors[monitorId].backoffLevel || 0) + 1;
+    monitors[monitorId].retryAt = retryAfterS != null ? Date.now() + retryAfterS * 1000 : null;
+    if (retryAfterS != null) wdLog('⏳ Honouring Retry-After of', retryAfterS + 's', 'for background monitor', monitorId);
+    wdLog('⏳ Backoff #' + monitors[monitorId].backoffLevel, 'for background monitor', monitorId);
+    await saveMonitors(monitors);
+  }
+  await scheduleBackgroundCheck(monitorId);
+}
+
+// A background fetch that hasn't finished in this long is abandoned as an error
+const FETCH_TIMEOUT_MS = 20000;
+
+// Fetch a background monitor's URL and evaluate it. Returns the evaluation result,
+// or { error, retryAfterS? } when the fetch or evaluation failed.
+async function fetchAndEvaluate(monitor) {
+  wdLog('☁️ Fetching:', monitor.url);
+  let body;
+  let status;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(monitor.url, { credentials: 'include', cache: 'no-store', signal: controller.signal });
+    status = response.status;
+    const httpError = classifyHttpStatus(status);
+    if (httpError) {
+      wdLog('☁️ HTTP', status, '(' + httpError + ') for', monitor.url);
+      return { error: 'HTTP ' + status, retryAfterS: parseRetryAfter(response.headers.get('Retry-After')) };
+    }
+    body = await response.text();
+  } catch (e) {
+    const error = e.name === 'AbortError' ? `No response in ${FETCH_TIMEOUT_MS / 1000}s` : e.message;
+    wdLog('☁️ Fetch failed for', monitor.url + ':', error);
+    return { error };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  // JSON is evaluated right here; HTML needs the offscreen document's DOMParser
+  let result;
+  try {
+    if (monitor.type === 'json') {
+      result = evaluateJsonMonitor(monitor, body);
+    } else {
+      await ensureOffscreenDocument();
+      result = await chrome.runtime.sendMessage({ action: 'evaluateHtml', html: body, monitor, httpStatus: status });
+    }
+  } catch (e) {
+    result = { error: e.message };
+  }
+  if (!result || result.error) {
+    const error = result ? result.error : 'No response from offscreen document';
+    wdLog('☁️ Check failed for', monitor.url + ':', error);
+    return { error };
+  }
+  return result;
+}
+
+// Fetch, evaluate and store the result of one background check
+async function runBackgroundCheck(monitorId) {
+  let monitors = await getMonitors();
+  let monitor = monitors[monitorId];
+  if (!monitor || monitor.found) return;
+
+  const result = await fetchAndEvaluate(monitor);
+  if (result.error) {
+    await recordBackgroundError(monitorId, result.error, result.retryAfterS);
+    return;
+  }
+
+  // The monitor may have been stopped while we were fetching
+  monitors = await getMonitors();
+  monitor = monitors[monitorId];
+  if (!monitor || monitor.found) return;
+
+  monitor.lastError = null;
+  if (monitor.backoffLevel > 0) wdLog('⏳ Backoff reset for background monitor', monitorId);
+  monitor.backoffLevel = 0;
+  monitor.retryAt = null;
+  monitor.regionMissing = result.regionMissing;
+  if (result.regionMissing) wdLog('⚠️ Region missing for selector', monitor.selector, 'on', monitor.url);
+  if (result.value !== null && result.value !== undefined) {
+    if (monitor.lastValue !== result.value) wdLog('💲 Value for monitor', monitorId + ':', result.value);
+    monitor.lastValue = result.value;
+    monitor.lastValueAt = Date.now();
+    if (monitor.baselineValue === undefined || monitor.baselineValue === null) monitor.baselineValue = result.value;
+  }
+  if (result.baseline) {
+    monitor.fingerprint = result.baseline.fingerprint;
+    monitor.baselineText = result.baseline.baselineText;
+    monitor.baselineAt = Date.now();
+    wdLog('📸 Change baseline stored for monitor:', monitorId);
+  }
+
+  if (monitor.rearm) result.fires = rearmAllowsAlert(monitor, result.fires);
+
+  // Every re-check must fire too (fetches never use the cache, so each one is fresh)
+  if (result.fires && monitor.confirmCount > 0) {
+    monitor.confirmingSince = Date.now();
+    await saveMonitors(monitors);
+    const confirmed = await confirmMatch(monitor, result.context, async () => {
+      await touchConfirmation(monitorId);
+      await waitForHostSlot('confirm:' + monitor.id, monitor.url);
+      await touchConfirmation(monitorId);
+      const recheck = await fetchAndEvaluate(monitor);
+      return !recheck.error && recheck.fires;
+    });
+    monitors = await getMonitors();
+    monitor = monitors[monitorId];
+    if (!monitor || monitor.found) return;
+    delete monitor.confirmingSince;
+    if (!confirmed) {
+      result.fires = false;
+      monitor.lastMatched = false;
+    }
+  }
+
+  if (!result.fires) {
+    await saveMonitors(monitors);
+    await scheduleBackgroundCheck(monitorId);
+    return;
+  }
+
+  wdLog('☁️ Background monitor FOUND! Playing alarm...', monitor.searchText);
+  monitor.found = true;
+  monitor.foundAt = Date.now();
+  monitor.nextRefreshTime = null;
+  if (result.diff) monitor.diff = result.diff;
+  if (result.counts) monitor.matchCounts = result.counts;
+  if (result.context) monitor.context = result.context;
+  if (result.jsonFragment) monitor.jsonFragment = result.jsonFragment;
+  recordRearmFire(monitor, result);
+  await saveMonitors(monitors);
+  playAlarmSound();
+
+  // Only now does the monitor get a tab, so the page can be acted on
+  try {
+    const tab = await chrome.tabs.create({ url: monitor.url, active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+    const updated = await getMonitors();
+    if (updated[monitorId]) {
+      updated[monitorId].tabId = tab.id;
+      await saveMonitors(updated);
+    }
+  } catch (e) {
+    wdLog('Could not open tab for background monitor:', e);
+  }
+}
+
+// --- Confirmation ---
+// Monitors with confirmCount > 0 don't fire on their first match: it is re-checked
+// confirmCount more times, CONFIRM_DELAY_MS apart, and fires only if every re-check agrees.
+// While a monitor is being confirmed it carries confirmingSince, so refresh timers, the
+// stuck check and the content script's own checks leave it alone. Each re-check moves it forward,
+// so a long confirmation isn't mistaken for one cut short.
+
+// Run the re-checks. recheck() resolves true when the monitor still fires.
+async function confirmMatch(monitor, context, recheck) {
+  wdLog('🔁 Confirming match for', `"${monitor.searchText}"`, 'with', monitor.confirmCount, 're-check(s)');
+  for (let i = 1; i <= monitor.confirmCount; i++) {
+    await new Promise(resolve => setTimeout(resolve, CONFIRM_DELAY_MS));
+    if (!(await getMonitors())[monitor.id]) return false; // Stopped meanwhile
+    if (!(await recheck())) {
+      const snippet = context && context.snippet;
+      wdLog('🙅 Unconfirmed match for', `"${monitor.searchText}"`, '- re-check', i + '/' + monitor.confirmCount, 'disagreed', snippet ? '| snippet: ' + snippet : '');
+      return false;
+    }
+    wdLog('🔁 Re-check', i + '/' + monitor.confirmCount, 'agrees for', `"${monitor.searchText}"`);
+  }
+  return true;
+}
+
+// Resolve once the tab finishes loading (or after timeoutMs). Call before starting the load.
+function waitForTabLoad(tabId, timeoutMs = 15000) {
+  return new Promise(resolve => {
+    const listener = (id, info) => {
+      if (id === tabId && info.status === 'complete') done();
+    };
+    const timer = setTimeout(() => done(), timeoutMs);
+    const done = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+// Ask the tab's content script to re-check one monitor, after a cache-bypassing
+// reload if the monitor wants one. Resolves with its answer, or null if the tab didn't answer.
+async function runTabRecheck(tabId, monitor) {
+  try {
+    if (monitor.confirmBypassCache) {
+      // The reload is a request like any other, so it waits its turn on the host
+      await waitForHostSlot('confirm:' + monitor.id, monitor.url);
+      await touchConfirmation(monitor.id);
+      const loaded = waitForTabLoad(tabId);
+      await chrome.tabs.reload(tabId, { bypassCache: true });
+      await loaded;
+    }
+    // A freshly loaded page's content script may not be listening yet
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        return await chrome.tabs.sendMessage(tabId, { action: 'confirmCheck', monitor, reloaded: monitor.confirmBypassCache });
+      } catch (e) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+    }
+  } catch (e) {
+    wdLog('Re-check failed for tab', tabId + ':', e.message);
+  }
+  return null;
+}
+
+// Mark a monitor's confirmation as still running (see checkForStuckMonitors)
+async function touchConfirmation(monitorId) {
+  const monitors = await getMonitors();
+  if (!monitors[monitorId] || !monitors[monitorId].confirmingSince) return;
+  monitors[monitorId].confirmingSince = Date.now();
+  await saveMonitors(monitors);
+}
+
+// Confirm a tab monitor's match before it fires. The alert is only shown once every
+// re-check agrees; otherwise the monitor goes back to refreshing as usual.
+async function confirmTabMatch(monitorId, details) {
+  let monitors = await getMonitors();
+  const monitor = monitors[monitorId];
+  if (!monitor || monitor.found || monitor.confirmingSince) return;
+  monitor.confirmingSince = Date.now();
+  await saveMonitors(monitors);
+
+  const tabId = monitor.tabId;
+  const confirmed = await confirmMatch(monitor, details.context, async () => {
+    await touchConfirmation(monitorId);
+    const response = await runTabRecheck(tabId, monitor);
+    return !!(response && response.fires);
+  });
+
+  monitors = await getMonitors();
+  if (!monitors[monitorId]) return;
+  delete monitors[monitorId].confirmingSince;
+  await saveMonitors(monitors);
+
+  if (!confirmed) {
+    await scheduleRefreshForTab(tabId);
+    return;
+  }
+
+  await markTabMonitorFound(monitorId, details);
+  chrome.tabs.sendMessage(tabId, {
+    action: 'showAlert',
+    monitorId,
+    searchText: details.searchText,
+    details: { matchMode: monitor.matchMode, diff: details.diff, counts: details.counts, matchSource: details.matchSource, context: details.context }
+  }).catch(e => wdLog('Could not show alert in tab:', e.message));
+}
+
+// --- Re-arming ---
+// Monitors with rearm keep watching after they fire. Dismissing the alert re-arms them
+// instead of removing them, and they alert again only when a check goes from not
+// matching to matching after their cool-down. Every fire is kept in monitor.fires
+// (newest first). Tab monitors make the same transition check in content.js.
+
+// Record a background check's match state and return whether it may alert.
+// Change monitors are re-baselined when they fire, so any difference is a new change.
+function rearmAllowsAlert(monitor, matched) {
+  const wasMatched = !!monitor.lastMatched;
+  monitor.lastMatched = matched;
+  if (!matched || (wasMatched && monitor.type !== 'change')) return false;
+  if (Date.now() < (monitor.cooldownUntil || 0)) {
+    wdLog('🔕 Match during cool-down, not alerting:', monitor.searchText);
+    return false;
+  }
+  return true;
+}
+
+// Log a re-arming monitor's fire and start its cool-down. Change monitors take the
+// page as it was when they fired as their new baseline, so the next change fires again.
+function recordRearmFire(monitor, details) {
+  if (!monitor.rearm) return;
+  monitor.lastMatched = true;
+  monitor.cooldownUntil = monitor.foundAt + monitor.cooldown * 1000;
+  const fire = { at: monitor.foundAt };
+  if (details.context && details.context.snippet) fire.snippet = details.context.snippet;
+  if (monitor.lastValue !== undefined && monitor.lastValue !== null) fire.value = monitor.lastValue;
+  monitor.fires = [fire, ...(monitor.fires || [])].slice(0, MAX_FIRE_LOG);
+  if (details.nextBaseline) {
+    monitor.fingerprint = details.nextBaseline.fingerprint;
+    monitor.baselineText = details.nextBaseline.baselineText;
+    monitor.baselineAt = monitor.foundAt;
+  }
+}
+
+// Move a found monitor's alert to history, then remove the monitor - or, if it
+// re-arms, reset it to keep watching. Returns true if it was re-armed.
+async function dismissFoundMonitor(monitors, monitorId) {
+  const monitor = monitors[monitorId];
+  const { fires, ...alert } = monitor;
+  await addToHistory(alert);
+  if (!monitor.rearm) {
+    delete monitors[monitorId];
+    return false;
+  }
+
+  monitor.found = false;
+  monitor.foundAt = null;
+  for (const key of ['diff', 'matchCounts', 'matchSource', 'context', 'jsonFragment']) delete monitor[key];
+  // Background monitors go back to having no tab
+  if (monitor.kind === 'background') monitor.tabId = null;
+  wdLog('♻️ Re-armed monitor:', monitorId, '- cool-down until', new Date(monitor.cooldownUntil).toLocaleTimeString());
+  return true;
+}
+
+// --- Scheduling ---
+// Each monitor's next check is persisted as nextRefreshTime, so the schedule survives the
+// service worker being suspended. While the worker is awake a setTimeout runs checks on
+// time; a persistent alarm per timer key ('tab:<tabId>' or 'bg:<monitorId>') and the
+// heartbeat wake it otherwise, and every wake-up rebuilds what's due from storage
+// (runDueChecks). dispatchedFor records which nextRefreshTime a check already ran for,
+// so the timer and the alarm never both run it.
+
+function alarmNameForKey(key) {
+  return typeof key === 'number' ? 'tab:' + key : key;
+}
+
+// Timer key for an alarm name, or null for alarms that aren't refresh timers
+function keyForAlarmName(name) {
+  if (name.startsWith('tab:')) return parseInt(name.slice(4), 10);
+  if (name.startsWith('bg:')) return name;
+  return null;
+}
+
+function timerKeyForMonitor(id, monitor) {
+  return monitor.kind === 'background' ? backgroundTimerKey(id) : monitor.tabId;
+}
+
+// True when a monitor's scheduled check has come due and hasn't run yet
+function isCheckDue(monitor, now) {
+  return !monitor.found && !monitor.confirmingSince && !!monitor.nextRefreshTime &&
+    monitor.nextRefreshTime <= now && monitor.dispatchedFor !== monitor.nextRefreshTime;
+}
+
+// Arm the in-memory timer and the persistent alarm for a timer key
+function armTimer(key, when) {
+  const timer = refreshTimers.get(key);
+  if (timer) clearTimeout(timer);
+  refreshTimers.set(key, setTimeout(() => runScheduledCheck(key), Math.max(0, when - Date.now())));
+  // Alarms fire no sooner than 30s from now; the timer covers shorter delays while awake
+  chrome.alarms.create(alarmNameForKey(key), { when });
+  startHeartbeat();
+}
+
+// Note that a monitor's scheduled check ran, and how late
+function recordCheckRun(monitor, now) {
+  const lateMs = now - monitor.nextRefreshTime;
+  monitor.dispatchedFor = monitor.nextRefreshTime;
+  monitor.dispatchedAt = now;
+  monitor.lateness = [{ at: now, lateMs }, ...(monitor.lateness || [])].slice(0, MAX_LATENESS_LOG);
+  if (lateMs > STUCK_THRESHOLD_MS) wdLog('⏰ Check ran', Math.round(lateMs / 1000) + 's late:', monitor.searchText);
+}
+
+// Run the check a timer key is due for: reload the tab, or fetch for a background monitor.
+// The timer, the alarm and the heartbeat all end up here; only the first finds it still due.
+// A check whose host has no free slot is pushed back to the slot it was queued for.
+async function runScheduledCheck(key) {
+  if (runningChecks.has(key)) return;
+  runningChecks.add(key);
+  let due;
+  try {
+    const monitors = await getMonitors();
+    const now = Date.now();
+    due = Object.entries(monitors).filter(([id, m]) => timerKeyForMonitor(id, m) === key && isCheckDue(m, now));
+    if (due.length === 0) return;
+
+    const slotAt = await claimHostSlot(key, due[0][1].url, now);
+    if (slotAt > now) {
+      for (const [, monitor] of due) monitor.nextRefreshTime = slotAt;
+      await saveMonitors(monitors);
+      wdLog('🚦 Waiting', Math.ceil((slotAt - now) / 1000) + 's for a free slot on', hostnameOf(due[0][1].url));
+      armTimer(key, slotAt);
+      due = null;
+      return;
+    }
+
+    for (const [, monitor] of due) recordCheckRun(monitor, now);
+    await saveMonitors(monitors);
+  } finally {
+    runningChecks.delete(key);
+  }
+  if (!due) return;
+
+  clearTabTimer(key);
+  if (typeof key === 'number') await refreshTab(key);
+  else await runBackgroundCheck(due[0][0]);
+}
+
+// Rebuild the schedule from storage: run every check that's due and re-arm the timers
+// a suspended worker lost, then look for refreshes that never reported back
+async function runDueChecks() {
+  const monitors = await getMonitors();
+  const now = Date.now();
+  const pending = new Map(); // timer key -> earliest scheduled time
+
+  for (const [id, monitor] of Object.entries(monitors)) {
+    if (monitor.found || !monitor.nextRefreshTime || monitor.dispatchedFor === monitor.nextRefreshTime) continue;
+    const key = timerKeyForMonitor(id, monitor);
+    if (key === null || key === undefined) continue;
+    if (!pending.has(key) || monitor.nextRefreshTime < pending.get(key)) pending.set(key, monitor.nextRefreshTime);
+  }
+
+  for (const [key, when] of pending) {
+    if (when <= now) await runScheduledCheck(key);
+    else if (!refreshTimers.has(key)) armTimer(key, when);
+  }
+
+  await checkForStuckMonitors();
+}
+
+// --- Politeness ---
+// Scheduled checks (and other reloads and fetches, see waitForHostSlot) of the same hostname
+// share one budget across all monitors: a minimum spacing between requests and a maximum
+// per minute (the 'politeness' setting, edited on the dashboard). Checks that come due together queue for successive slots rather than
+// firing at once. 'hostRequests' keeps each host's requests in the last minute and its
+// queued slots ({ requests: [time], queued: { alarmName: time } }) across worker restarts.
+
+// Claims are made one at a time so two checks can't take the same slot
+let hostSlotLock = Promise.resolve();
+
+async function getPoliteness() {
+  const { politeness = {} } = await chrome.storage.local.get('politeness');
+  return { minSpacingS: DEFAULT_MIN_SPACING_S, maxPerMinute: DEFAULT_MAX_PER_MINUTE, ...politeness };
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Drop requests older than a minute and queued slots whose check never came back
+function pruneHostState(state, now) {
+  state.requests = state.requests.filter(t => now - t < 60000);
+  for (const [name, at] of Object.entries(state.queued)) {
+    if (now - at > 60000) delete state.queued[name];
+  }
+}
+
+// Earliest time from now on that keeps the spacing and the per-minute budget, given the
+// host's request times (past requests and, for new checks, the slots already queued)
+function nextHostSlot(times, settings, now) {
+  const sorted = times.slice().sort((a, b) => a - b);
+  let at = now;
+  if (settings.minSpacingS > 0 && sorted.length > 0) {
+    at = Math.max(at, sorted[sorted.length - 1] + settings.minSpacingS * 1000);
+  }
+  if (settings.maxPerMinute > 0) {
+    // While the minute before the slot is full, wait for its oldest request to leave it
+    let inWindow = sorted.filter(t => t > at - 60000);
+    while (inWindow.length >= settings.maxPerMinute) {
+      at = inWindow[inWindow.length - settings.maxPerMinute] + 60000;
+      inWindow = sorted.filter(t => t > at - 60000);
+    }
+  }
+  return at;
+}
+
+// Claim a request slot on the URL's host for a due check. Returns now when the check may go
+// ahead (its request is counted), or the later time it has been queued for.
+function claimHostSlot(key, url, now) {
+  const claim = hostSlotLock.then(async () => {
+    const host = hostnameOf(url);
+    if (!host) return now;
+    const settings = await getPoliteness();
+    const { hostRequests = {} } = await chrome.storage.local.get('hostRequests');
+    for (const [h, state] of Object.entries(hostRequests)) {
+      pruneHostState(state, now);
+      if (state.requests.length === 0 && Object.keys(state.queued).length === 0) delete hostRequests[h];
+    }
+    const state = hostRequests[host] || { requests: [], queued: {} };
+    const name = alarmNameForKey(key);
+
+    // A check returning for its queued slot only has to respect requests actually made;
+    // a new one queues behind every slot already handed out
+    const returning = name in state.queued;
+    delete state.queued[name];
+    const times = returning ? state.requests : [...state.requests, ...Object.values(state.queued)];
+    const at = nextHostSlot(times, settings, now);
+
+    // Timers fire a few milliseconds either side of their slot
+    const goAhead = at - now < 250;
+    if (goAhead) state.requests.push(now);
+    else state.queued[name] = at;
+    hostRequests[host] = state;
+    await chrome.storage.local.set({ hostRequests });
+    return goAhead ? now : at;
+  });
+  hostSlotLock = claim.catch(() => {});
+  return claim;
+}
+
+// Wait for a request slot on the URL's host for a request outside the schedule (confirmation
+// re-checks, reloads after a group edit); name is its place in the host's queue
+async function waitForHostSlot(name, url) {
+  for (;;) {
+    const now = Date.now();
+    const at = await claimHostSlot(name, url, now);
+    if (at <= now) return;
+    await new Promise(resolve => setTimeout(resolve, at - now));
+  }
+}
+
+// Each monitored host's budget for the dashboard
+async function getHostBudgets() {
+  const settings = await getPoliteness();
+  const { hostRequests = {} } = await chrome.storage.local.get('hostRequests');
+  const monitors = await getMonitors();
+  const now = Date.now();
+  const hosts = {};
+
+  for (const monitor of Object.values(monitors)) {
+    const host = hostnameOf(monitor.url);
+    if (!host || monitor.found) continue;
+    if (!hosts[host]) hosts[host] = { host, monitors: 0, used: 0, queued: 0, nextSlotAt: now };
+    hosts[host].monitors++;
+  }
+  for (const [host, state] of Object.entries(hostRequests)) {
+    if (!hosts[host]) continue;
+    pruneHostState(state, now);
+    hosts[host].used = state.requests.length;
+    hosts[host].queued = Object.keys(state.queued).length;
+    hosts[host].nextSlotAt = nextHostSlot([...state.requests, ...Object.values(state.queued)], settings, now);
+  }
+  return { settings, hosts: Object.values(hosts) };
 }
 
 // Check for stuck monitors and force refresh if needed
@@ -395,34 +1257,52 @@ async function checkForStuckMonitors() {
   const monitors = await getMonitors();
   const now = Date.now();
   const tabsToRefresh = new Set();
+  let changed = false;
+  
+  // A tab's check reports back after the page loads and its slowest readiness wait ends
+  const tabWaitMs = {};
+  for (const m of Object.values(monitors)) {
+    if (m.kind !== 'background' && !m.found) tabWaitMs[m.tabId] = Math.max(tabWaitMs[m.tabId] || 0, readinessWaitMs(m.readiness));
+  }
   
   for (const [id, monitor] of Object.entries(monitors)) {
-    if (!monitor.found && monitor.nextRefreshTime && (now - monitor.nextRefreshTime) > STUCK_THRESHOLD_MS) {
-      wdLog('Monitor appears stuck:', id, Math.round((now - monitor.nextRefreshTime) / 1000), 's overdue');
-      tabsToRefresh.add(monitor.tabId);
+    // A confirmation in progress holds its tab; one this old was cut short by a restart
+    if (monitor.confirmingSince) {
+      if (now - monitor.confirmingSince < CONFIRM_STALE_MS) continue;
+      wdLog('Confirmation never finished, resuming monitor:', id);
+      delete monitor.confirmingSince;
+      changed = true;
+    }
+    // A dispatched check gets rescheduled once it reports back; this one never did
+    const dispatched = monitor.nextRefreshTime && monitor.dispatchedFor === monitor.nextRefreshTime;
+    const stuckAfterMs = STUCK_THRESHOLD_MS + (monitor.kind === 'background' ? 0 : tabWaitMs[monitor.tabId] || 0);
+    if (!monitor.found && dispatched && (now - monitor.dispatchedAt) > stuckAfterMs) {
+      wdLog('Monitor appears stuck:', id, Math.round((now - monitor.dispatchedAt) / 1000), 's without reporting back');
+      if (monitor.kind === 'background') {
+        await scheduleBackgroundCheck(id, 0);
+      } else {
+        tabsToRefresh.add(monitor.tabId);
+      }
     }
   }
   
-  if (tabsToRefresh.size === 0) return;
-  
-  let changed = false;
+  if (tabsToRefresh.size === 0) {
+    if (changed) await saveMonitors(monitors);
+    return;
+  }
   
+  const dueTabs = [];
   for (const tabId of tabsToRefresh) {
     try {
       await chrome.tabs.get(tabId);
       wdLog('Force refreshing stuck tab:', tabId);
       
-      // Find shortest interval & update nextRefreshTime in one pass
-      let shortestInterval = 15;
-      for (const m of Object.values(monitors)) {
-        if (m.tabId === tabId && !m.found && m.interval < shortestInterval) shortestInterval = m.interval;
-      }
-      const newTime = Date.now() + (shortestInterval * 1000) + 5000;
+      // Make the tab due again, so its reload takes a host slot like any scheduled check
+      const newTime = Date.now();
       for (const [id, m] of Object.entries(monitors)) {
         if (m.tabId === tabId && !m.found) { monitors[id].nextRefreshTime = newTime; changed = true; }
       }
-      
-      chrome.tabs.reload(tabId);
+      dueTabs.push(tabId);
     } catch (e) {
       wdLog('Stuck tab no longer exists, cleaning up:', tabId);
       for (const [id, m] of Object.entries(monitors)) {
@@ -433,32 +1313,38 @@ async function checkForStuckMonitors() {
   }
   
   if (changed) await saveMonitors(monitors);
+  // If a reload doesn't report back either, it is found stuck again
+  for (const tabId of dueTabs) await runScheduledCheck(tabId);
 }
 
-// Start the watchdog timer
-function startStuckWatchdog() {
-  if (stuckWatchdogTimer) return; // Already running
-  
-  stuckWatchdogTimer = setInterval(async () => {
+// Start the heartbeat alarm (kept if it already exists, so its period isn't reset)
+async function startHeartbeat() {
+  if (heartbeatRunning) return;
+  heartbeatRunning = true;
+  if (!(await chrome.alarms.get(HEARTBEAT_ALARM))) {
+    chrome.alarms.create(HEARTBEAT_ALARM, { periodInMinutes: HEARTBEAT_PERIOD_MIN });
+  }
+}
+
+// Stop the heartbeat alarm
+function stopHeartbeat() {
+  heartbeatRunning = false;
+  chrome.alarms.clear(HEARTBEAT_ALARM);
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === HEARTBEAT_ALARM) {
     const monitors = await getMonitors();
-    const hasActiveMonitors = Object.values(monitors).some(m => !m.found);
-    
-    if (!hasActiveMonitors) {
-      stopStuckWatchdog();
+    if (!Object.values(monitors).some(m => !m.found)) {
+      stopHeartbeat();
       return;
     }
-    
-    await checkForStuckMonitors();
-  }, WATCHDOG_CHECK_INTERVAL_MS);
-}
-
-// Stop the watchdog timer
-function stopStuckWatchdog() {
-  if (stuckWatchdogTimer) {
-    clearInterval(stuckWatchdogTimer);
-    stuckWatchdogTimer = null;
+    await runDueChecks();
+    return;
   }
-}
+  const key = keyForAlarmName(alarm.name);
+  if (key !== null) await runScheduledCheck(key);
+});
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
@@ -467,24 +1353,31 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       const monitors = await getMonitors();
       const monitorId = generateId();
       
-      monitors[monitorId] = {
-        id: monitorId,
-        tabId: message.tabId,
-        searchText: message.searchText,
-        searchTerms: message.searchTerms || [{ term: message.searchText, operator: null }],
-        interval: message.refreshInterval || 15,
-        url: message.url || '',
-        title: message.title || '',
-        found: false,
-        foundAt: null,
-        isIncognito: false,
-        incognitoCycleCount: 0,
-        nextRefreshTime: Date.now() + ((message.refreshInterval || 15) * 1000) + 2000
-      };
+      const isBackground = message.kind === 'background';
+      // Extra URLs make this a multi-URL monitor: one definition, a tab or fetch per URL
+      const extraUrls = [...new Set(message.targetUrls || [])].filter(url => url !== message.url);
+      const groupId = extraUrls.length > 0 ? generateId() : null;
+
+      monitors[monitorId] = buildMonitor(monitorId, message, message.url || '', isBackground ? null : message.tabId, message.title || '', groupId);
+      const extraIds = [];
+      for (const url of extraUrls) {
+        const id = generateId();
+        const tabId = isBackground ? null : (await chrome.tabs.create({ url, active: false })).id;
+        monitors[id] = buildMonitor(id, message, url, tabId, '', groupId);
+        extraIds.push(id);
+      }
       
       await saveMonitors(monitors);
       wdLog('Started monitoring:', monitorId, monitors[monitorId]);
-      sendResponse({ status: 'started', monitorId });
+      if (groupId) wdLog('🔗 Monitor group', groupId, 'watches', extraIds.length + 1, 'URLs');
+
+      // Background monitors check straight away - there is no tab reload to wait for.
+      // The popup reloads the current tab; extra tabs are still loading, so they wait a cycle.
+      for (const id of [monitorId, ...extraIds]) {
+        if (isBackground) await scheduleBackgroundCheck(id, 0);
+        else if (id !== monitorId) await scheduleRefreshForTab(monitors[id].tabId);
+      }
+      sendResponse({ status: 'started', monitorId, groupId });
     })();
     return true;
   
@@ -541,7 +1434,6 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         // Update monitor
         monitors[monitorId].tabId = newTabId;
         monitors[monitorId].isIncognito = true;
-        monitors[monitorId].incognitoCycleCount = 1;
         monitors[monitorId].nextRefreshTime = Date.now() + (monitor.interval * 1000) + 2000;
         
         await saveMonitors(monitors);
@@ -580,13 +1472,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         }
         delete monitors[monitorId];
         await saveMonitors(monitors);
+        clearTabTimer(backgroundTimerKey(monitorId));
         
-        // Reschedule or clear timer for this tab
-        const remaining = await getActiveMonitorsForTab(tabId, monitors);
-        if (Object.keys(remaining).length === 0) {
-          clearTabTimer(tabId);
-        } else {
-          await scheduleRefreshForTab(tabId);
+        // Reschedule or clear timer for this tab (unfound background monitors have none)
+        if (tabId !== null) {
+          const remaining = await getActiveMonitorsForTab(tabId, monitors);
+          if (Object.keys(remaining).length === 0) {
+            clearTabTimer(tabId);
+          } else {
+            await scheduleRefreshForTab(tabId);
+          }
         }
         wdLog('Stopped monitor:', monitorId);
       }
@@ -595,6 +1490,96 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     })();
     return true;
   
+  } else if (message.action === 'stopGroup') {
+    // Stop every URL of a multi-URL monitor
+    (async () => {
+      const monitors = await getMonitors();
+      const tabIds = new Set();
+      for (const [id, monitor] of Object.entries(monitors)) {
+        if (monitor.groupId !== message.groupId) continue;
+        if (monitor.found) await addToHistory(monitor);
+        if (monitor.tabId !== null) tabIds.add(monitor.tabId);
+        clearTabTimer(backgroundTimerKey(id));
+        delete monitors[id];
+      }
+      await saveMonitors(monitors);
+      
+      // Reschedule or clear timers for the tabs the group used
+      for (const tabId of tabIds) await scheduleRefreshForTab(tabId);
+      wdLog('Stopped monitor group:', message.groupId);
+      sendResponse({ status: 'stopped' });
+    })();
+    return true;
+
+  } else if (message.action === 'updateGroup') {
+    // Apply an edited definition to every URL of a multi-URL monitor. Each URL gets a
+    // fresh monitor (new baselines, counts and state); URLs that stay keep their tab (and
+    // its InPrivate state), URLs no longer listed stop and their tabs close unless another
+    // monitor still uses them, and new URLs open a tab (or fetch in the background).
+    (async () => {
+      const monitors = await getMonitors();
+      const group = Object.values(monitors).filter(m => m.groupId === message.groupId);
+      if (group.length === 0) {
+        sendResponse({ status: 'not_found' });
+        return;
+      }
+
+      const previous = {};
+      const tabIds = new Set();
+      for (const monitor of group) {
+        previous[monitor.url] = monitor;
+        if (monitor.tabId !== null) tabIds.add(monitor.tabId);
+        if (monitor.found) await addToHistory(monitor);
+        clearTabTimer(backgroundTimerKey(monitor.id));
+        delete monitors[monitor.id];
+      }
+
+      const isBackground = message.kind === 'background';
+      const updated = [];
+      const keptTabs = [];
+      for (const url of [...new Set(message.urls || [])]) {
+        const old = previous[url];
+        let tabId = null;
+        if (!isBackground) {
+          tabId = old && old.kind !== 'background' ? old.tabId : null;
+          try {
+            if (tabId !== null) await chrome.tabs.get(tabId);
+          } catch (e) {
+            tabId = null;
+          }
+          if (tabId === null) tabId = (await chrome.tabs.create({ url, active: false })).id;
+          else keptTabs.push({ tabId, url });
+          tabIds.add(tabId);
+        }
+        const id = generateId();
+        monitors[id] = buildMonitor(id, message, url, tabId, old ? old.title : '', message.groupId);
+        if (old && tabId !== null && tabId === old.tabId) monitors[id].isIncognito = !!old.isIncognito;
+        updated.push(id);
+      }
+      await saveMonitors(monitors);
+
+      // Tabs of URLs taken off the list would otherwise stay open with nothing watching them
+      for (const tabId of [...tabIds]) {
+        if (Object.values(monitors).some(m => m.tabId === tabId)) continue;
+        tabIds.delete(tabId);
+        clearTabTimer(tabId);
+        chrome.tabs.remove(tabId).catch(() => {});
+      }
+      wdLog('🔗 Updated monitor group', message.groupId, 'now watching', updated.length, 'URL(s)');
+
+      // Kept tabs reload so their content script picks up the new definition,
+      // each once its host has a free slot
+      for (const { tabId, url } of keptTabs) {
+        waitForHostSlot('reload:' + tabId, url).then(() => chrome.tabs.reload(tabId)).catch(() => {});
+      }
+      for (const tabId of tabIds) await scheduleRefreshForTab(tabId);
+      if (isBackground) {
+        for (const id of updated) await scheduleBackgroundCheck(id, 0);
+      }
+      sendResponse({ status: 'updated', count: updated.length });
+    })();
+    return true;
+
   } else if (message.action === 'stopAllMonitoring') {
     (async () => {
       const monitors = await getMonitors();
@@ -602,8 +1587,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       
       // Collect unique tabs and dismiss overlays
       const tabIds = new Set();
-      for (const monitor of Object.values(monitors)) {
-        tabIds.add(monitor.tabId);
+      for (const [id, monitor] of Object.entries(monitors)) {
+        clearTabTimer(backgroundTimerKey(id));
+        if (monitor.tabId !== null) tabIds.add(monitor.tabId);
         if (monitor.found) {
           await addToHistory(monitor);
         }
@@ -616,8 +1602,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         } catch (e) {}
       }
       
-      // Stop the stuck watchdog
-      stopStuckWatchdog();
+      // Stop the heartbeat
+      stopHeartbeat();
       
       await saveMonitors({});
       wdLog('All monitoring stopped');
@@ -634,39 +1620,53 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       const tabId = (sender.tab ? sender.tab.id : null) || message.tabId;
       
       if (monitorId) {
-        // Stop specific monitor
+        // Stop specific monitor (re-arming monitors only have their alert dismissed)
         const monitors = await getMonitors();
         if (monitors[monitorId]) {
           const mTabId = monitors[monitorId].tabId;
+          const isBackground = monitors[monitorId].kind === 'background';
+          let rearmed = false;
           if (monitors[monitorId].found) {
-            await addToHistory(monitors[monitorId]);
+            rearmed = await dismissFoundMonitor(monitors, monitorId);
+          } else {
+            delete monitors[monitorId];
           }
-          delete monitors[monitorId];
           await saveMonitors(monitors);
           
           try {
-            await chrome.tabs.sendMessage(mTabId, { action: 'dismissOverlay', monitorId });
+            await chrome.tabs.sendMessage(mTabId, { action: 'dismissOverlay', monitorId, rearmed: rearmed && !isBackground ? { [monitorId]: monitors[monitorId] } : {} });
           } catch (e) {}
           
-          const remaining = await getActiveMonitorsForTab(mTabId, monitors);
-          if (Object.keys(remaining).length === 0) {
-            clearTabTimer(mTabId);
+          if (rearmed && isBackground) {
+            await scheduleBackgroundCheck(monitorId);
+          } else {
+            const remaining = await getActiveMonitorsForTab(mTabId, monitors);
+            if (Object.keys(remaining).length === 0) {
+              clearTabTimer(mTabId);
+            } else if (rearmed) {
+              await scheduleRefreshForTab(mTabId);
+            }
           }
         }
       } else if (tabId) {
         // Stop all monitors for this tab that are found
         const monitors = await getMonitors();
+        const rearmed = {};
+        const rearmedBackground = [];
         for (const [id, monitor] of Object.entries(monitors)) {
-          if (monitor.tabId === tabId && monitor.found) {
-            await addToHistory(monitor);
-            delete monitors[id];
+          if (monitor.tabId === tabId && monitor.found && await dismissFoundMonitor(monitors, id)) {
+            if (monitor.kind === 'background') rearmedBackground.push(id);
+            else rearmed[id] = monitor;
           }
         }
         await saveMonitors(monitors);
         
         try {
-          await chrome.tabs.sendMessage(tabId, { action: 'dismissOverlay' });
+          await chrome.tabs.sendMessage(tabId, { action: 'dismissOverlay', rearmed });
         } catch (e) {}
+
+        if (Object.keys(rearmed).length > 0) await scheduleRefreshForTab(tabId);
+        for (const id of rearmedBackground) await scheduleBackgroundCheck(id);
       }
       
       sendResponse({ status: 'alarm stopped' });
@@ -677,7 +1677,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     (async () => {
       const senderTabId = sender.tab ? sender.tab.id : null;
       const activeMonitors = senderTabId ? await getActiveMonitorsForTab(senderTabId) : {};
-      sendResponse({ isMonitored: Object.keys(activeMonitors).length > 0, monitors: activeMonitors });
+      sendResponse({
+        isMonitored: Object.keys(activeMonitors).length > 0,
+        monitors: activeMonitors,
+        // Lets content.js classify the page by status code before falling back to its text
+        http: (senderTabId && tabHttpStatus.get(senderTabId)) || null
+      });
     })();
     return true;
     
@@ -750,6 +1755,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ status: 'ok', enabled: loggingEnabled });
     return true;
     
+  } else if (message.action === 'getHostBudgets') {
+    (async () => {
+      sendResponse(await getHostBudgets());
+    })();
+    return true;
+
+  } else if (message.action === 'setPoliteness') {
+    (async () => {
+      const politeness = {
+        minSpacingS: Math.max(0, Math.min(MAX_MIN_SPACING_S, Number(message.minSpacingS) || 0)),
+        maxPerMinute: Math.max(0, Math.min(MAX_PER_MINUTE_LIMIT, Math.round(Number(message.maxPerMinute) || 0)))
+      };
+      await chrome.storage.local.set({ politeness });
+      wdLog('🚦 Per-host limits:', politeness.minSpacingS + 's spacing,', politeness.maxPerMinute || 'unlimited', 'per minute');
+      sendResponse({ status: 'ok', settings: politeness });
+    })();
+    return true;
+    
   } else if (message.action === 'saveConfig') {
     (async () => {
       const monitors = await getMonitors();
@@ -768,6 +1791,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           interval: m.interval,
           url: m.url,
           title: m.title,
+          ...monitorSettings(m),
+          groupId: m.groupId || null,
           isIncognito: m.isIncognito || false
         }))
       };
@@ -809,12 +1834,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
       const monitors = await getMonitors();
       let restoredCount = 0;
+      const groupIds = {}; // Saved group → new group, so multi-URL monitors stay together
 
       for (const saved of config.monitors) {
         try {
-          let newTabId;
+          let newTabId = null;
 
-          if (saved.isIncognito) {
+          if (saved.kind === 'background') {
+            // Background monitors get a tab only when they fire
+          } else if (saved.isIncognito) {
             const savedGeometry = await getWindowGeometry(saved.url);
             const createOpts = { url: saved.url, incognito: true, focused: false };
             if (savedGeometry) Object.assign(createOpts, savedGeometry);
@@ -841,10 +1869,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             interval: saved.interval,
             url: saved.url,
             title: saved.title || '',
+            ...monitorSettings(saved),
+            groupId: saved.groupId ? (groupIds[saved.groupId] = groupIds[saved.groupId] || generateId()) : null,
             found: false,
             foundAt: null,
             isIncognito: saved.isIncognito || false,
-            incognitoCycleCount: saved.isIncognito ? 1 : 0,
+            backoffLevel: 0,
             nextRefreshTime: Date.now() + (saved.interval * 1000) + 2000
           };
 
@@ -857,10 +1887,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
       await saveMonitors(monitors);
 
-      const tabIds = new Set(Object.values(monitors).filter(m => !m.found).map(m => m.tabId));
+      const tabIds = new Set(Object.values(monitors).filter(m => !m.found && m.kind !== 'background').map(m => m.tabId));
       for (const tabId of tabIds) {
         await scheduleRefreshForTab(tabId);
       }
+      for (const [id, m] of Object.entries(monitors)) {
+        if (m.kind === 'background' && !m.found && !refreshTimers.has(backgroundTimerKey(id))) await scheduleBackgroundCheck(id, 0);
+      }
 
       wdLog('Config "' + config.name + '" restored:', restoredCount, 'monitor(s)');
       sendResponse({ status: 'restored', count: restoredCount });
@@ -869,48 +1902,109 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   } else if (message.action === 'found') {
     // Content found - includes monitorId and searchText
-    wdLog('Content FOUND! Playing alarm...');
-    playAlarmSound();
-    
-    const foundAt = Date.now();
-    
     (async () => {
-      const monitorId = message.monitorId;
       const monitors = await getMonitors();
-      
-      if (monitors[monitorId]) {
-        monitors[monitorId].found = true;
-        monitors[monitorId].foundAt = foundAt;
-        monitors[monitorId].nextRefreshTime = null;
-        await saveMonitors(monitors);
-        
-        const tabId = monitors[monitorId].tabId;
-        
-        // Focus the tab and bring window to front
-        try {
-          const tab = await chrome.tabs.get(tabId);
-          // Bring the window to the front and focus it
-          await chrome.windows.update(tab.windowId, { focused: true });
-          // Focus the specific tab
-          await chrome.tabs.update(tabId, { active: true });
-          wdLog('Focused tab and window for found content');
-        } catch (e) {
-          wdLog('Could not focus tab/window:', e);
-        }
-        
-        // Reschedule for remaining active monitors
-        await scheduleRefreshForTab(tabId);
+      const monitor = monitors[message.monitorId];
+
+      // Matches that need confirming are re-checked first; the alarm waits for the result
+      if (monitor && monitor.confirmCount > 0) {
+        confirmTabMatch(message.monitorId, message);
+        sendResponse({ status: 'confirming' });
+        return;
       }
-      
-      wdLog('Content FOUND - State saved for monitor:', monitorId);
+
+      const foundAt = await markTabMonitorFound(message.monitorId, message);
       sendResponse({ status: 'found', foundAt });
     })();
     return true;
     
+  } else if (message.action === 'regionStatus') {
+    // Content script reports whether a monitor's CSS selector matched anything
+    (async () => {
+      const monitors = await getMonitors();
+      const monitor = monitors[message.monitorId];
+      if (monitor && monitor.regionMissing !== message.missing) {
+        monitor.regionMissing = message.missing;
+        await saveMonitors(monitors);
+        wdLog(message.missing ? '⚠️ Region missing for selector' : 'Region found again for selector', monitor.selector);
+      }
+      sendResponse({ status: 'ok' });
+    })();
+    return true;
+
+  } else if (message.action === 'matchState') {
+    // A re-arming monitor's match state flipped without alerting (cool-down, or no longer matching)
+    (async () => {
+      const monitors = await getMonitors();
+      const monitor = monitors[message.monitorId];
+      if (monitor && !monitor.found) {
+        monitor.lastMatched = message.matched;
+        await saveMonitors(monitors);
+      }
+      sendResponse({ status: 'ok' });
+    })();
+    return true;
+
+  } else if (message.action === 'reportValue') {
+    // Latest number extracted by a numeric condition (e.g. a price)
+    (async () => {
+      const monitors = await getMonitors();
+      const monitor = monitors[message.monitorId];
+      if (monitor) {
+        if (monitor.lastValue !== message.value) wdLog('💲 Value for monitor', message.monitorId + ':', message.value);
+        monitor.lastValue = message.value;
+        monitor.lastValueAt = Date.now();
+        if (monitor.baselineValue === undefined || monitor.baselineValue === null) monitor.baselineValue = message.value;
+        await saveMonitors(monitors);
+      }
+      sendResponse({ status: 'ok' });
+    })();
+    return true;
+
+  } else if (message.action === 'changeBaseline') {
+    // First check of a change monitor - remember what the page looked like
+    (async () => {
+      const monitors = await getMonitors();
+      const monitor = monitors[message.monitorId];
+      if (monitor && !monitor.fingerprint) {
+        monitor.fingerprint = message.fingerprint;
+        monitor.baselineText = message.baselineText;
+        monitor.baselineAt = Date.now();
+        await saveMonitors(monitors);
+        wdLog('📸 Change baseline stored for monitor:', message.monitorId);
+      }
+      sendResponse({ status: 'ok' });
+    })();
+    return true;
+
+  } else if (message.action === 'collectFrameText') {
+    // Deep scan: read the tab's subframes, including cross-origin iframes
+    (async () => {
+      const senderTabId = sender.tab ? sender.tab.id : null;
+      if (!senderTabId) {
+        sendResponse({ frames: [] });
+        return;
+      }
+      try {
+        const results = await chrome.scripting.executeScript({
+          target: { tabId: senderTabId, allFrames: true },
+          func: readFrameText
+        });
+        const frames = results.filter(r => r.frameId !== 0 && r.result).map(r => r.result);
+        sendResponse({ frames });
+      } catch (e) {
+        wdLog('Deep scan could not read frames:', e.message);
+        sendResponse({ frames: [] });
+      }
+    })();
+    return true;
+
   } else if (message.action === 'scheduleRefresh') {
     (async () => {
       const senderTabId = sender.tab ? sender.tab.id : null;
       if (senderTabId) {
+        // The content script checked a healthy page
+        if (message.healthy) await resetTabBackoff(senderTabId);
         await scheduleRefreshForTab(senderTabId);
       }
       sendResponse({ status: 'scheduled' });
@@ -976,23 +2070,33 @@ chrome.tabs.onRemoved.addListener(async (tabId) => {
     return;
   }
   
+  tabHttpStatus.delete(tabId);
   const monitors = await getMonitors();
   let changed = false;
   const removedUrls = [];
+  const rearmedBackground = [];
   
   for (const [id, monitor] of Object.entries(monitors)) {
-    if (monitor.tabId === tabId) {
-      removedUrls.push(monitor.url ? new URL(monitor.url).hostname : monitor.searchText);
-      delete monitors[id];
+    if (monitor.tabId !== tabId) continue;
+    // Closing the tab a background monitor opened dismisses its alert, like the dismiss button
+    if (monitor.kind === 'background') {
+      if (!monitor.found) monitor.tabId = null;
+      else if (await dismissFoundMonitor(monitors, id)) rearmedBackground.push(id);
+      else removedUrls.push(monitor.url ? new URL(monitor.url).hostname : monitor.searchText);
       changed = true;
+      continue;
     }
+    removedUrls.push(monitor.url ? new URL(monitor.url).hostname : monitor.searchText);
+    delete monitors[id];
+    changed = true;
   }
   
   if (changed) {
     await saveMonitors(monitors);
     clearTabTimer(tabId);
     stopAlarmSound();
-    wdLog('Tab closed, removed', removedUrls.length, 'monitor(s):', removedUrls.join(', '));
+    if (removedUrls.length > 0) wdLog('Tab closed, removed', removedUrls.length, 'monitor(s):', removedUrls.join(', '));
+    for (const id of rearmedBackground) await scheduleBackgroundCheck(id);
   }
 });
 
@@ -1001,11 +2105,12 @@ chrome.runtime.onStartup.addListener(async () => {
   wdLog('Service worker starting up, restoring timers...');
   const monitors = await getMonitors();
   const tabIds = new Set();
+  const backgroundIds = [];
   
-  for (const monitor of Object.values(monitors)) {
-    if (!monitor.found) {
-      tabIds.add(monitor.tabId);
-    }
+  for (const [id, monitor] of Object.entries(monitors)) {
+    if (monitor.found) continue;
+    if (monitor.kind === 'background') backgroundIds.push(id);
+    else tabIds.add(monitor.tabId);
   }
   
   for (const tabId of tabIds) {
@@ -1023,13 +2128,21 @@ chrome.runtime.onStartup.addListener(async () => {
   }
   
   await saveMonitors(monitors);
+
+  for (const id of backgroundIds) {
+    await scheduleBackgroundCheck(id, 0);
+  }
   
   const hasActive = Object.values(monitors).some(m => !m.found);
   if (hasActive) {
-    startStuckWatchdog();
+    startHeartbeat();
   }
 });
 
+// Every wake-up (alarm, message, tab event) evaluates this script afresh: catch up on
+// whatever came due while the worker was suspended and re-arm the timers it lost
+runDueChecks();
+
 // Track tabs that recently had navigation errors to avoid duplicate handling
 const recentNavErrors = new Map();
 
@@ -1084,6 +2197,23 @@ chrome.webNavigation.onErrorOccurred.addListener(async (details) => {
   wdLog('Navigation error retry result:', result);
 });
 
+// Record main-frame status codes and Retry-After headers (see --- HTTP Status ---)
+chrome.webRequest.onHeadersReceived.addListener((details) => {
+  if (details.tabId < 0) return;
+  const header = (details.responseHeaders || []).find(h => h.name.toLowerCase() === 'retry-after');
+  tabHttpStatus.set(details.tabId, {
+    status: details.statusCode,
+    error: classifyHttpStatus(details.statusCode),
+    retryAfterS: parseRetryAfter(header && header.value),
+    url: details.url
+  });
+}, { urls: ['<all_urls>'], types: ['main_frame'] }, ['responseHeaders']);
+
+// A failed request has no status of its own; don't let an earlier response's linger
+chrome.webRequest.onErrorOccurred.addListener((details) => {
+  if (details.tabId >= 0) tabHttpStatus.delete(details.tabId);
+}, { urls: ['<all_urls>'], types: ['main_frame'] });
+
 // --- InPrivate Window Geometry Tracking ---
 
 // When an InPrivate window is moved or resized, persist the new geometry (debounced)
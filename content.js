@@ -2,6 +2,8 @@
 
 let activeMonitors = {}; // { monitorId: { searchText, ... } }
 let foundMonitors = new Set(); // Track which monitors have already found their text
+const checkingMonitors = new Set(); // Monitors a checkAllMonitors run is evaluating, so overlapping runs skip them
+let httpInfo = null; // This page's main-frame response from background: { status, error, retryAfterS }
 
 // Forward console logs to background for the dashboard log viewer
 function wdLog(...args) {
@@ -23,21 +25,19 @@ function wdLog(...args) {
   } catch (e) { /* extension context may be invalidated */ }
 }
 
-// Error page detection - single compiled regex for fast matching
-const ERROR_PATTERN_RE = /can'?t reach this page|cannot reach this page|this site can'?t be reached|this page isn'?t working|err_(connection|http|ssl|timed_out|name_not_resolved|network|failed|aborted|blocked)|connection timed out|50[0234] (bad gateway|internal server error|service unavailable|gateway timeout)|access denied|too many requests|rate limit/i;
-
+// Error page detection (the patterns live in matcher.js, shared with background monitors).
+// The HTTP status decides when background recorded one; the text is the fallback.
 function isErrorPage() {
-  const pageText = document.body ? (document.body.innerText || document.body.textContent || '') : '';
-  const titleLower = document.title.toLowerCase();
-  
-  if (ERROR_PATTERN_RE.test(pageText) || ERROR_PATTERN_RE.test(titleLower)) {
-    wdLog('Detected error page');
+  if (httpInfo && httpInfo.error) {
+    wdLog('Detected HTTP', httpInfo.status, '(' + httpInfo.error + ')');
     return true;
   }
   
-  // Very minimal page content with error keywords
-  if (pageText.length < 200 && /error|denied/i.test(pageText)) {
-    wdLog('Detected minimal page with error keywords');
+  const pageText = document.body ? (document.body.innerText || document.body.textContent || '') : '';
+  const httpOk = !!httpInfo && httpInfo.status < 400;
+  
+  if (looksLikeErrorPage(pageText, document.title, httpOk)) {
+    wdLog('Detected error page');
     return true;
   }
   
@@ -85,118 +85,446 @@ function isUrlRedirected() {
   return false;
 }
 
-// Evaluate AND/OR search terms against page text
-// Standard precedence: AND binds tighter than OR
-// "A OR B AND C" => "A OR (B AND C)"
-function evaluateSearchTerms(searchTerms, pageTextLower) {
-  if (!searchTerms || searchTerms.length === 0) return false;
+// Term evaluation (evaluateSearchTerms, parseQuery) is provided by matcher.js
+
+// --- Deep Scan ---
+// innerText skips open shadow roots and iframe documents, so deep-scan monitors
+// collect their text separately and match against the combined text.
+
+const NON_TEXT_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'];
+
+// Short label for an element, e.g. "stock-widget#buy"
+function describeElement(el) {
+  return el.tagName.toLowerCase() + (el.id ? '#' + el.id : '');
+}
+
+// Same-origin frame document, or null for cross-origin and non-frame elements
+function getFrameDocument(el) {
+  if (el.tagName !== 'IFRAME' && el.tagName !== 'FRAME') return null;
+  try {
+    return el.contentDocument;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Visible text of a shadow root (ShadowRoot has no innerText of its own)
+function shadowRootText(shadowRoot) {
+  return Array.from(shadowRoot.children)
+    .filter(el => !NON_TEXT_TAGS.includes(el.tagName))
+    .map(el => el.innerText || el.textContent || '')
+    .join('\n');
+}
+
+// querySelector that also looks inside open shadow roots and same-origin iframes
+function deepQuerySelector(root, selector) {
+  const found = root.querySelector(selector);
+  if (found) return found;
+  for (const el of root.querySelectorAll('*')) {
+    const inner = el.shadowRoot || getFrameDocument(el);
+    const match = inner ? deepQuerySelector(inner, selector) : null;
+    if (match) return match;
+  }
+  return null;
+}
+
+// Walk a region for open shadow roots and same-origin iframes.
+// Returns { sources: [{ source, text, url? }], crossOriginFrames }.
+function collectDeepText(region) {
+  const sources = [];
+  let crossOriginFrames = 0;
+
+  const visit = (root) => {
+    for (const el of root.querySelectorAll('*')) {
+      if (el.shadowRoot) {
+        sources.push({ source: `shadow root of <${describeElement(el)}>`, text: shadowRootText(el.shadowRoot) });
+        visit(el.shadowRoot);
+      }
+      if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+        const frameDoc = getFrameDocument(el);
+        if (frameDoc && frameDoc.body) {
+          const url = frameDoc.location.href;
+          sources.push({ source: 'iframe ' + url, url, text: frameDoc.body.innerText || '' });
+          visit(frameDoc.body);
+        } else {
+          crossOriginFrames++;
+        }
+      }
+    }
+  };
+
+  visit(region);
+  return { sources, crossOriginFrames };
+}
 
-  // If only a single term (legacy or simple), just check inclusion
-  if (searchTerms.length === 1) {
-    return pageTextLower.includes(searchTerms[0].term.toLowerCase());
+// Ask background to read cross-origin iframes (the content script can't reach into them)
+async function readCrossOriginFrames() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'collectFrameText' });
+    return (response && response.frames) || [];
+  } catch (e) {
+    wdLog('Could not read cross-origin frames:', e.message, 'warn');
+    return [];
   }
+}
 
-  // Split into OR-groups (each group is a set of AND-connected terms)
-  const orGroups = [];
-  let currentGroup = [];
+// Extra text a deep-scan monitor should see, as [{ source, text }]. Cross-origin
+// iframes are only read for whole-page monitors since they can't be tied to a
+// selector region. frameCache shares one background round-trip per check.
+async function getDeepSources(monitor, region, frameCache) {
+  const { sources, crossOriginFrames } = collectDeepText(region);
+  if (crossOriginFrames > 0 && !monitor.selector) {
+    if (!frameCache.frames) frameCache.frames = await readCrossOriginFrames();
+    const seen = new Set(sources.map(s => s.url).filter(Boolean));
+    for (const frame of frameCache.frames) {
+      if (!seen.has(frame.url)) sources.push({ source: 'iframe ' + frame.url, url: frame.url, text: frame.text });
+    }
+  }
+  return sources;
+}
+
+// Which part of a deep-scanned page satisfies the conditions on its own, if any
+function findMatchSource(monitor, regionText, deepSources) {
+  const parts = [{ source: monitor.selector || 'main document', text: regionText }, ...deepSources];
+  for (const part of parts) {
+    const ctx = createMatchContext(part.text, document, monitor);
+    if (evaluateSearchTerms(getMonitorTerms(monitor), ctx)) return part.source;
+  }
+  return 'combined page, shadow root and iframe text';
+}
+
+// --- Match Context ---
+
+// Deepest element under root whose text still contains the matched text
+function findMatchElement(root, matchedText) {
+  const needle = matchedText.trim().toLowerCase();
+  if (!needle) return null;
+
+  let el = root;
+  let descended = true;
+  while (descended) {
+    descended = false;
+    for (const child of el.children) {
+      if (NON_TEXT_TAGS.includes(child.tagName)) continue;
+      if ((child.innerText || child.textContent || '').toLowerCase().includes(needle)) {
+        el = child;
+        descended = true;
+        break;
+      }
+    }
+  }
+  return el;
+}
 
-  for (const entry of searchTerms) {
-    if (entry.operator === 'OR' && currentGroup.length > 0) {
-      orGroups.push(currentGroup);
-      currentGroup = [];
+// CSS path from <body> to an element, stopping early at an id,
+// e.g. "main > div.buy-box:nth-of-type(2) > button.add-to-cart"
+function getSelectorPath(el) {
+  const parts = [];
+  while (el && el.nodeType === Node.ELEMENT_NODE && el !== document.body && el !== document.documentElement) {
+    if (el.id) {
+      parts.unshift(el.tagName.toLowerCase() + '#' + CSS.escape(el.id));
+      break;
     }
-    currentGroup.push(entry.term);
+    let part = el.tagName.toLowerCase() + [...el.classList].slice(0, 2).map(c => '.' + CSS.escape(c)).join('');
+    const parent = el.parentElement;
+    if (parent) {
+      const sameTag = [...parent.children].filter(c => c.tagName === el.tagName);
+      if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(el) + 1})`;
+    }
+    parts.unshift(part);
+    el = parent;
   }
-  if (currentGroup.length > 0) {
-    orGroups.push(currentGroup);
+  return parts.join(' > ') || 'body';
+}
+
+// What the page said when a monitor fired: { pageTitle, snippet, match, selectorPath }.
+// Snippets only exist for text matches - absence and change monitors have none.
+function captureMatchContext(monitor, region, ctx) {
+  const context = { pageTitle: document.title, snippet: null, match: null, selectorPath: monitor.selector || null };
+  if (!ctx) return context;
+
+  const found = findMatchSnippet(getMonitorTerms(monitor), ctx);
+  if (found) {
+    context.snippet = found.snippet;
+    context.match = found.match;
+    const el = findMatchElement(region, found.match);
+    if (el) context.selectorPath = getSelectorPath(el);
   }
+  return context;
+}
+
+// Get the element a monitor should search: its selector region, or the whole page.
+// Returns null when the selector matches nothing on the page.
+function getMonitorRegion(monitor) {
+  if (!monitor.selector) return document.body;
 
-  // Any OR group fully matching means success
-  for (const group of orGroups) {
-    const allMatch = group.every(term => pageTextLower.includes(term.toLowerCase()));
-    if (allMatch) return true;
+  let region = null;
+  try {
+    region = monitor.deepScan ? deepQuerySelector(document, monitor.selector) : document.querySelector(monitor.selector);
+  } catch (e) {
+    wdLog('Invalid selector:', monitor.selector, 'warn');
   }
+  return region;
+}
+
+// Tell background when a monitor's region goes missing or reappears
+function reportRegionStatus(monitorId, monitor, missing) {
+  if (!!monitor.regionMissing === missing) return;
+  monitor.regionMissing = missing;
+  chrome.runtime.sendMessage({ action: 'regionStatus', monitorId, missing });
+}
 
+// Send the latest extracted number to background (shown on the monitor card)
+function reportValue(monitorId, monitor, value) {
+  if (monitor.lastValue === value) return;
+  monitor.lastValue = value;
+  if (monitor.baselineValue === undefined || monitor.baselineValue === null) monitor.baselineValue = value;
+  chrome.runtime.sendMessage({ action: 'reportValue', monitorId, value });
+}
+
+// Compare a change monitor's region against its stored fingerprint.
+// The first check only records the baseline; later checks fire on any difference,
+// returning { diff, nextBaseline } (re-arming monitors move on to nextBaseline).
+function checkForChange(monitorId, monitor, region, extraTexts) {
+  const snapshot = extractRegionText(region, monitor.ignoreRules, extraTexts).substring(0, MAX_BASELINE_CHARS);
+  const fingerprint = fingerprintText(snapshot);
+
+  if (!monitor.fingerprint) {
+    wdLog('📸 Stored change baseline:', fingerprint, '(' + snapshot.length + ' chars)');
+    monitor.fingerprint = fingerprint;
+    monitor.baselineText = snapshot;
+    chrome.runtime.sendMessage({ action: 'changeBaseline', monitorId, fingerprint, baselineText: snapshot });
+    return null;
+  }
+
+  if (fingerprint === monitor.fingerprint) return null;
+  return { diff: summarizeTextDiff(monitor.baselineText || '', snapshot), nextBaseline: { fingerprint, baselineText: snapshot } };
+}
+
+// Re-arming monitors alert only when a check goes from not matching to matching outside
+// their cool-down (change monitors on any change, as they re-baseline when they fire).
+// Flips that don't alert are reported so the state survives the next reload.
+function rearmAllowsAlert(monitorId, monitor, matched) {
+  const wasMatched = !!monitor.lastMatched;
+  monitor.lastMatched = matched;
+  const isNew = matched && (!wasMatched || monitor.type === 'change');
+  if (isNew && Date.now() >= (monitor.cooldownUntil || 0)) return true;
+  if (isNew) wdLog('🔕 Match during cool-down, not alerting:', monitor.searchText);
+  if (matched !== wasMatched) chrome.runtime.sendMessage({ action: 'matchState', monitorId, matched });
   return false;
 }
 
-function checkAllMonitors() {
+// Evaluate one monitor against the current page. Returns null when its region is
+// missing, otherwise { fires, diff, nextBaseline, counts, matchSource, context }.
+async function evaluateMonitor(monitorId, monitor, pageText, frameCache = {}) {
+  let isMatch = false;
+  let fires = false;
+  let diff = null;
+  let nextBaseline = null;
+  let counts = null;
+  let matchSource = null;
+  let matchCtx = null;
+
+  // Scope to the monitor's selector region if it has one
+  const region = getMonitorRegion(monitor);
+  if (!region) {
+    wdLog('⚠️ Region missing for selector:', monitor.selector);
+    reportRegionStatus(monitorId, monitor, true);
+    return null;
+  }
+  if (monitor.selector) reportRegionStatus(monitorId, monitor, false);
+
+  // Deep scan adds the text of shadow roots and iframes inside the region
+  const deepSources = monitor.deepScan ? await getDeepSources(monitor, region, frameCache) : [];
+
+  if (monitor.type === 'change') {
+    const change = checkForChange(monitorId, monitor, region, deepSources.map(s => s.text));
+    fires = change !== null;
+    if (change) {
+      diff = change.diff;
+      nextBaseline = change.nextBaseline;
+    }
+  } else {
+    const regionText = monitor.selector ? (region.innerText || region.textContent || '') : pageText;
+    const text = [regionText, ...deepSources.map(s => s.text)].join('\n');
+    const ctx = createMatchContext(text, document, monitor);
+    matchCtx = ctx;
+
+    isMatch = evaluateSearchTerms(getMonitorTerms(monitor), ctx);
+    if (ctx.values.length > 0) reportValue(monitorId, monitor, ctx.values[0]);
+    if (ctx.counts.length > 0) counts = ctx.counts;
+
+    // Absence monitors fire when the text is no longer on the (healthy) page.
+    // Blank, error and redirected pages are never evaluated, and a missing
+    // region returned above, so a non-match here really means the text is gone.
+    fires = monitor.matchMode === 'absent' ? !isMatch : isMatch;
+    if (fires && isMatch && deepSources.length > 0) matchSource = findMatchSource(monitor, regionText, deepSources);
+  }
+
+  if (!fires) return { fires: false };
+  // Absence monitors fire on a non-match, so there's no matched text to quote
+  const context = captureMatchContext(monitor, region, monitor.matchMode === 'absent' ? null : matchCtx);
+  return { fires, diff, nextBaseline, counts, matchSource, context };
+}
+
+// live: this is a re-check triggered by DOM mutations rather than a page load
+async function checkAllMonitors({ live = false } = {}) {
   if (Object.keys(activeMonitors).length === 0) return;
   
   const pageText = document.body ? (document.body.innerText || document.body.textContent || '') : '';
   
-  if (!pageText) {
-    chrome.runtime.sendMessage({ action: 'scheduleRefresh' });
+  // Pages rendered entirely inside shadow roots or iframes have no body text of their own
+  const anyDeepScan = Object.values(activeMonitors).some(m => m.deepScan && (m.live || !live));
+  // A blank 429/503 is still throttling, so let the error check below handle it
+  if (!pageText && !anyDeepScan && !(httpInfo && httpInfo.error && !live)) {
+    if (!live) chrome.runtime.sendMessage({ action: 'scheduleRefresh' });
     return;
   }
   
-  // Check if URL was redirected (e.g., to an error page with different URL)
-  // If so, redirect back to original URL instead of triggering error fallback
-  if (isUrlRedirected()) {
-    const originalUrl = getOriginalUrl();
-    wdLog('🔄 URL redirected, navigating back to original:', originalUrl);
-    chrome.runtime.sendMessage({ 
-      action: 'urlRedirected',
-      originalUrl: originalUrl,
-      currentUrl: window.location.href
-    });
-    return;
-  }
+  // Live re-checks skip redirect and error recovery: the page was healthy when it
+  // loaded, SPA route changes are normal, and navigating away would reset a queue
+  if (!live) {
+    // Check if URL was redirected (e.g., to an error page with different URL)
+    // If so, redirect back to original URL instead of triggering error fallback
+    if (isUrlRedirected()) {
+      const originalUrl = getOriginalUrl();
+      wdLog('🔄 URL redirected, navigating back to original:', originalUrl);
+      chrome.runtime.sendMessage({ 
+        action: 'urlRedirected',
+        originalUrl: originalUrl,
+        currentUrl: window.location.href
+      });
+      return;
+    }
   
-  // Check if this is an error page (throttling, network error, etc.)
-  // Just schedule a retry - the page will be refreshed on the next cycle
-  if (isErrorPage()) {
-    wdLog('🚫 Error page detected, scheduling retry...');
-    chrome.runtime.sendMessage({ 
-      action: 'errorPageDetected',
-      url: window.location.href
-    });
-    return;
+    // Check if this is an error page (throttling, network error, etc.)
+    // Just schedule a retry - the page will be refreshed on the next cycle
+    if (isErrorPage()) {
+      wdLog('🚫 Error page detected, scheduling retry...');
+      chrome.runtime.sendMessage({ 
+        action: 'errorPageDetected',
+        url: window.location.href
+      });
+      return;
+    }
   }
   
-  const pageTextLower = pageText.toLowerCase();
   let anyFound = false;
   let allChecked = true;
+  const frameCache = {};
   
   for (const [monitorId, monitor] of Object.entries(activeMonitors)) {
-    if (foundMonitors.has(monitorId)) continue;
+    if (foundMonitors.has(monitorId) || checkingMonitors.has(monitorId)) continue;
+    // DOM changes only re-check live monitors; the others keep to their refresh schedule
+    if (live && !monitor.live) continue;
+    // Outside its active hours a monitor sleeps; background reloads the tab when it wakes
+    if (!isScheduleActive(monitor.schedule, Date.now())) continue;
     
-    const searchTerms = monitor.searchTerms;
     const searchText = monitor.searchText;
-    let isMatch = false;
-
-    if (searchTerms && searchTerms.length > 0) {
-      isMatch = evaluateSearchTerms(searchTerms, pageTextLower);
-    } else {
-      isMatch = pageTextLower.includes(searchText.toLowerCase());
+    // A load-triggered and a live run can overlap; only one evaluates each monitor
+    checkingMonitors.add(monitorId);
+    let result;
+    try {
+      result = await evaluateMonitor(monitorId, monitor, pageText, frameCache);
+    } finally {
+      checkingMonitors.delete(monitorId);
     }
+    if (!result || foundMonitors.has(monitorId)) continue;
+    const fires = monitor.rearm ? rearmAllowsAlert(monitorId, monitor, result.fires) : result.fires;
+    if (!fires) continue;
+    const { diff, nextBaseline, counts, matchSource, context } = result;
     
-    if (isMatch) {
-      wdLog('🎉 FOUND:', searchText);
-      foundMonitors.add(monitorId);
-      anyFound = true;
-      
-      // Notify background
-      chrome.runtime.sendMessage({ 
-        action: 'found', 
-        monitorId: monitorId,
-        searchText: searchText 
-      });
-      
-      // Show visual alert for this find
-      showVisualAlert(searchText, monitorId);
-      
-      // Play local sound
-      playLocalSound();
+    wdLog(monitor.type === 'change' ? '🎉 CHANGED:' : monitor.matchMode === 'absent' ? '🎉 GONE:' : '🎉 FOUND:', searchText, matchSource ? '(in ' + matchSource + ')' : '');
+    foundMonitors.add(monitorId);
+    anyFound = true;
+    
+    // Notify background
+    chrome.runtime.sendMessage({ 
+      action: 'found', 
+      monitorId: monitorId,
+      searchText: searchText,
+      diff: diff,
+      nextBaseline: nextBaseline,
+      counts: counts,
+      matchSource: matchSource,
+      context: context
+    });
+    
+    // Matches that need confirming alert later, once background's re-checks agree (showAlert)
+    if (monitor.confirmCount > 0) {
+      wdLog('🔁 Waiting for', monitor.confirmCount, 'confirmation re-check(s):', searchText);
+      continue;
     }
+    
+    // Show visual alert for this find
+    showVisualAlert(searchText, monitorId, { matchMode: monitor.matchMode, diff, counts, matchSource, context });
+    
+    // Play local sound
+    playLocalSound();
   }
   
   // Check if there are still unfound monitors
   const remainingMonitors = Object.keys(activeMonitors).filter(id => !foundMonitors.has(id));
   
-  if (remainingMonitors.length > 0) {
-    chrome.runtime.sendMessage({ action: 'scheduleRefresh' });
+  // Live re-checks leave the (safety) refresh timer alone
+  if (remainingMonitors.length > 0 && !live) {
+    chrome.runtime.sendMessage({ action: 'scheduleRefresh', healthy: true });
+  }
+
+  if (!remainingMonitors.some(id => activeMonitors[id].live)) stopLiveWatch();
+}
+
+// --- Live Mode ---
+// Live monitors keep the page as-is and re-check whenever the DOM changes, at most
+// once per LIVE_THROTTLE_MS. Background only reloads the tab as an occasional safety net.
+
+const LIVE_THROTTLE_MS = 1000;
+let liveObserver = null;
+let liveTimer = null;
+let liveCheckRunning = false;
+let liveCheckPending = false;
+let lastLiveCheck = 0;
+
+function scheduleLiveCheck() {
+  if (liveCheckRunning) {
+    liveCheckPending = true;
+    return;
   }
+  if (liveTimer) return;
+
+  const wait = Math.max(0, lastLiveCheck + LIVE_THROTTLE_MS - Date.now());
+  liveTimer = setTimeout(async () => {
+    liveTimer = null;
+    liveCheckRunning = true;
+    lastLiveCheck = Date.now();
+    try {
+      await checkAllMonitors({ live: true });
+    } finally {
+      liveCheckRunning = false;
+    }
+    // Mutations that arrived mid-check still need a look
+    if (liveCheckPending && liveObserver) {
+      liveCheckPending = false;
+      scheduleLiveCheck();
+    }
+  }, wait);
+}
+
+function startLiveWatch() {
+  if (liveObserver || !document.body) return;
+  liveObserver = new MutationObserver(() => scheduleLiveCheck());
+  liveObserver.observe(document.body, { childList: true, subtree: true, characterData: true, attributes: true });
+  wdLog('📡 Live watch started');
+}
+
+function stopLiveWatch() {
+  if (!liveObserver) return;
+  liveObserver.disconnect();
+  liveObserver = null;
+  clearTimeout(liveTimer);
+  liveTimer = null;
+  liveCheckPending = false;
+  wdLog('📡 Live watch stopped');
 }
 
 // Audio tracking
@@ -241,10 +569,61 @@ function dismissAlert() {
   wdLog('Alert dismissed');
 }
 
-function showVisualAlert(searchText, monitorId) {
-  const foundText = searchText || 'Search text';
-  const now = new Date();
-  const foundTime = now.toLocaleString();
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Snippet HTML with the first occurrence of the matched text highlighted
+function highlightSnippet(snippet, match) {
+  const index = match ? snippet.toLowerCase().indexOf(match.toLowerCase()) : -1;
+  if (index < 0) return escapeHtml(snippet);
+  return escapeHtml(snippet.slice(0, index)) +
+    `<mark class="watchdog-mark">${escapeHtml(snippet.slice(index, index + match.length))}</mark>` +
+    escapeHtml(snippet.slice(index + match.length));
+}
+
+// Inner HTML for one found item in the overlay (details: { matchMode, diff, counts, matchSource, context })
+function buildFoundItemHtml(searchText, details) {
+  const label = details.diff ? 'Changed: ' : details.matchMode === 'absent' ? 'Gone: ' : '';
+  const foundTime = new Date().toLocaleString();
+  let html = `
+    <div class="watchdog-found-text">🐕 ${escapeHtml(label)}"${escapeHtml(searchText || 'Search text')}"</div>
+    <div class="watchdog-found-time">Found at: ${foundTime}</div>`;
+
+  if (details.context && details.context.snippet) {
+    html += `
+    <div class="watchdog-snippet">${highlightSnippet(details.context.snippet, details.context.match)}</div>`;
+  }
+
+  if (details.context && details.context.selectorPath) {
+    html += `
+    <div class="watchdog-found-time watchdog-path">🎯 ${escapeHtml(details.context.selectorPath)}</div>`;
+  }
+
+  if (details.matchSource) {
+    html += `
+    <div class="watchdog-found-time">🧩 In ${escapeHtml(details.matchSource)}</div>`;
+  }
+
+  if (details.counts) {
+    html += `
+    <div class="watchdog-found-time">${details.counts.map(c => `🔢 "${escapeHtml(c.term)}" × ${c.count}`).join(' · ')}</div>`;
+  }
+
+  if (details.diff) {
+    const { context, before, after } = details.diff;
+    html += `
+    <div class="watchdog-diff">
+      ${context ? `<div class="watchdog-diff-context">…${escapeHtml(context)}</div>` : ''}
+      <div class="watchdog-diff-before">− ${escapeHtml(before || '(nothing)')}</div>
+      <div class="watchdog-diff-after">+ ${escapeHtml(after || '(nothing)')}</div>
+    </div>`;
+  }
+  return html;
+}
+
+function showVisualAlert(searchText, monitorId, details = {}) {
+  const itemHtml = buildFoundItemHtml(searchText, details);
   const iconUrl = chrome.runtime.getURL('icon128.png');
   
   // Check if overlay already exists
@@ -254,10 +633,7 @@ function showVisualAlert(searchText, monitorId) {
     if (container) {
       const item = document.createElement('div');
       item.className = 'watchdog-found-item';
-      item.innerHTML = `
-        <div class="watchdog-found-text">🐕 "${foundText}"</div>
-        <div class="watchdog-found-time">Found at: ${foundTime}</div>
-      `;
+      item.innerHTML = itemHtml;
       container.appendChild(item);
     }
     return;
@@ -276,10 +652,7 @@ function showVisualAlert(searchText, monitorId) {
           <span class="watchdog-title">FOUND!</span>
         </div>
         <div id="watchdog-found-container">
-          <div class="watchdog-found-item">
-            <div class="watchdog-found-text">🐕 "${foundText}"</div>
-            <div class="watchdog-found-time">Found at: ${foundTime}</div>
-          </div>
+          <div class="watchdog-found-item">${itemHtml}</div>
         </div>
         <div class="watchdog-footer">Woof! Your watch is over! 🦴</div>
       </div>
@@ -398,6 +771,54 @@ function showVisualAlert(searchText, monitorId) {
       margin-top: 8px;
       font-weight: 500;
     }
+    .watchdog-snippet {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      color: #33691e;
+      text-align: left;
+      margin-top: 12px;
+      padding: 8px 12px;
+      background: rgba(255, 255, 255, 0.6);
+      border-left: 3px solid #76b900;
+      border-radius: 4px;
+      word-break: break-word;
+    }
+    .watchdog-mark {
+      background: #ffeb3b;
+      color: #1b5e20;
+      padding: 0 2px;
+      border-radius: 2px;
+    }
+    .watchdog-path {
+      font-family: Consolas, 'Courier New', monospace;
+      word-break: break-all;
+    }
+    .watchdog-diff {
+      font-family: Consolas, 'Courier New', monospace;
+      font-size: 13px;
+      text-align: left;
+      margin-top: 12px;
+      max-height: 160px;
+      overflow-y: auto;
+      word-break: break-word;
+    }
+    .watchdog-diff-context {
+      color: #777;
+    }
+    .watchdog-diff-before {
+      color: #b71c1c;
+      background: rgba(255, 82, 82, 0.12);
+      padding: 2px 6px;
+      border-radius: 4px;
+      margin-top: 4px;
+    }
+    .watchdog-diff-after {
+      color: #1b5e20;
+      background: rgba(118, 185, 0, 0.18);
+      padding: 2px 6px;
+      border-radius: 4px;
+      margin-top: 4px;
+    }
     .watchdog-footer {
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
       font-size: 18px;
@@ -414,6 +835,102 @@ function showVisualAlert(searchText, monitorId) {
   overlay.addEventListener('click', () => dismissAlert());
 }
 
+// --- Readiness ---
+// When to check after the page loads. Each monitor picks a strategy:
+//   { strategy: 'delay', delay }         fixed wait (the default, 1.5s)
+//   { strategy: 'selector', selector }   until the element exists
+//   { strategy: 'quiet', quietMs }       until the DOM stops changing for quietMs
+// Selector and quiet waits give up after timeout ms and check anyway (defaults in schedule.js).
+
+// Resolves with what ended the wait: 'delay', 'selector', 'quiet' or 'timeout'
+function waitForReady(monitor) {
+  const r = { ...DEFAULT_READINESS, ...(monitor.readiness || {}) };
+
+  return new Promise(resolve => {
+    if (r.strategy === 'delay') {
+      setTimeout(() => resolve('delay'), r.delay);
+      return;
+    }
+
+    let observer = null;
+    let quietTimer = null;
+    const timeoutTimer = setTimeout(() => finish('timeout'), r.timeout);
+    const finish = (reason) => {
+      if (observer) observer.disconnect();
+      clearTimeout(quietTimer);
+      clearTimeout(timeoutTimer);
+      resolve(reason);
+    };
+
+    if (r.strategy === 'selector') {
+      const present = () => {
+        try {
+          return !!(monitor.deepScan ? deepQuerySelector(document, r.selector) : document.querySelector(r.selector));
+        } catch (e) {
+          return true; // Invalid selectors are rejected by the popup - don't wait on one
+        }
+      };
+      if (present()) {
+        finish('selector');
+        return;
+      }
+      observer = new MutationObserver(() => {
+        if (present()) finish('selector');
+      });
+      observer.observe(document.documentElement, { childList: true, subtree: true });
+    } else {
+      // Every mutation restarts the quiet timer
+      const arm = () => {
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(() => finish('quiet'), r.quietMs);
+      };
+      observer = new MutationObserver(arm);
+      observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true, attributes: true });
+      arm();
+    }
+  });
+}
+
+// Wait until every monitor on the tab is ready (one check covers them all), then check
+async function checkWhenReady() {
+  const started = Date.now();
+  const reasons = await Promise.all(Object.values(activeMonitors).map(m => waitForReady(m)));
+  const waited = Date.now() - started;
+  if (reasons.includes('timeout')) {
+    wdLog('⏳ Readiness timed out after', waited, 'ms, checking anyway', 'warn');
+  } else {
+    wdLog('⏳ Page ready after', waited, 'ms (' + [...new Set(reasons)].join(', ') + ')');
+  }
+  await checkAllMonitors();
+
+  // Live monitors keep watching the DOM after the first check
+  const liveRemaining = Object.entries(activeMonitors).some(([id, m]) => m.live && !foundMonitors.has(id));
+  if (liveRemaining) startLiveWatch();
+}
+
+// Re-check one monitor for background's confirmation. A reloaded page first waits
+// for the monitor's readiness; blank and error pages never confirm a match.
+async function runConfirmCheck(stored, reloaded) {
+  // Prefer this page's copy, which carries state such as the change baseline
+  const monitor = activeMonitors[stored.id] || stored;
+  if (reloaded) await waitForReady(monitor);
+  const pageText = document.body ? (document.body.innerText || document.body.textContent || '') : '';
+  let fires = false;
+  if ((pageText || monitor.deepScan) && !isErrorPage()) {
+    const result = await evaluateMonitor(monitor.id, monitor, pageText);
+    fires = !!(result && result.fires);
+  }
+  wdLog('🔁 Confirmation re-check', fires ? 'agrees:' : 'disagrees:', monitor.searchText);
+
+  // A failed confirmation puts the monitor back into normal checking on this page
+  if (!fires && activeMonitors[monitor.id]) {
+    foundMonitors.delete(monitor.id);
+    monitor.lastMatched = false;
+    if (monitor.live) startLiveWatch();
+  }
+  return { fires };
+}
+
 function init() {
   chrome.runtime.sendMessage({ action: 'getStatus' }, (response) => {
     if (chrome.runtime.lastError) {
@@ -434,15 +951,15 @@ function init() {
     }
     
     activeMonitors = response.monitors;
-    foundMonitors = new Set();
+    httpInfo = response.http || null;
+    // Monitors being confirmed are re-checked on background's request (confirmCheck)
+    foundMonitors = new Set(Object.keys(activeMonitors).filter(id => activeMonitors[id].confirmingSince));
     
-    // Wait for page to fully load, then check
+    // Wait for page to fully load, then for each monitor's readiness strategy
     if (document.readyState === 'complete') {
-      setTimeout(() => checkAllMonitors(), 1500);
+      checkWhenReady();
     } else {
-      window.addEventListener('load', () => {
-        setTimeout(() => checkAllMonitors(), 1500);
-      }, { once: true });
+      window.addEventListener('load', () => checkWhenReady(), { once: true });
     }
   });
 }
@@ -459,8 +976,27 @@ if (chrome.runtime && chrome.runtime.id) {
       
       document.querySelectorAll('.watchdog-alert-overlay').forEach(el => el.remove());
       document.querySelectorAll('.watchdog-alert-style').forEach(el => el.remove());
+
+      // Re-armed monitors keep watching this page with their refreshed state
+      const rearmed = message.rearmed || {};
+      for (const [id, monitor] of Object.entries(rearmed)) {
+        activeMonitors[id] = monitor;
+        foundMonitors.delete(id);
+      }
+      if (Object.values(rearmed).some(m => m.live)) startLiveWatch();
       
       sendResponse({ status: 'dismissed' });
+    } else if (message.action === 'confirmCheck') {
+      // Background re-checking a match before it alerts
+      (async () => {
+        sendResponse(await runConfirmCheck(message.monitor, message.reloaded));
+      })();
+    } else if (message.action === 'showAlert') {
+      // Every confirmation re-check agreed
+      foundMonitors.add(message.monitorId);
+      showVisualAlert(message.searchText, message.monitorId, message.details);
+      playLocalSound();
+      sendResponse({ status: 'shown' });
     }
     return true;
   });
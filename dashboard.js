@@ -202,6 +202,32 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // --- Host Budgets ---
+  const hostBudgetsList = document.getElementById('hostBudgetsList');
+  const minSpacingInput = document.getElementById('minSpacingInput');
+  const maxPerMinuteInput = document.getElementById('maxPerMinuteInput');
+
+  function loadHostBudgets() {
+    chrome.runtime.sendMessage({ action: 'getHostBudgets' }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      // Don't overwrite a limit while it's being typed
+      if (document.activeElement !== minSpacingInput) minSpacingInput.value = response.settings.minSpacingS;
+      if (document.activeElement !== maxPerMinuteInput) maxPerMinuteInput.value = response.settings.maxPerMinute;
+      hostBudgetsList.innerHTML = buildHostBudgetsHtml(response.hosts, response.settings);
+    });
+  }
+
+  function savePoliteness() {
+    chrome.runtime.sendMessage({
+      action: 'setPoliteness',
+      minSpacingS: minSpacingInput.value,
+      maxPerMinute: maxPerMinuteInput.value
+    }, loadHostBudgets);
+  }
+
+  minSpacingInput.addEventListener('change', savePoliteness);
+  maxPerMinuteInput.addEventListener('change', savePoliteness);
+
   // --- History ---
 
   function loadHistory() {
@@ -264,12 +290,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // --- Initial load & periodic refresh ---
   loadMonitors();
+  loadHostBudgets();
   loadHistory();
   loadSavedConfigs();
   loadLogs();
 
   updateInterval = setInterval(() => {
     loadMonitors();
+    loadHostBudgets();
     loadHistory();
     loadLogs();
   }, 2000);
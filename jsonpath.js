@@ -0,0 +1,356 @@
+// jsonpath.js - JSONPath subset and conditions for JSON API monitors
+// (shared by the popup for validation and the background service worker)
+//
+// Paths:       $.a.b   $['a b']   $.items[0]   $.items[-1]   $.items[*]   $..price
+// Filters:     $.products[?(@.sku == 'X' && @.stock > 0)]
+// Conditions:  <expr> := <expr> || <expr> | <expr> && <expr> | !<expr> | ( <expr> )
+//                      | <operand> [ == != < <= > >= <operand> ]
+//              <operand> := path | 'string' | "string" | number | true | false | null
+// A path on its own matches when it yields a truthy value (not false, null, 0, ''
+// or an empty array/object). Comparisons match when ANY value the path yields does.
+
+const JSON_OPS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '='];
+const JSON_COMPARATORS = ['==', '!=', '<', '<=', '>', '>='];
+
+// Read a quoted string starting at text[start], returning { value, end }
+function readJsonQuoted(text, start) {
+  const quote = text[start];
+  let value = '';
+  let i = start + 1;
+  while (i < text.length && text[i] !== quote) {
+    if (text[i] === '\\' && i + 1 < text.length) i++;
+    value += text[i++];
+  }
+  if (i >= text.length) throw new Error(`Unterminated string at position ${start + 1}`);
+  return { value, end: i + 1 };
+}
+
+// Index of the ']' closing the '[' at text[start], skipping quotes and nested brackets
+function findJsonBracketEnd(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === "'") {
+      i = readJsonQuoted(text, i).end - 1;
+    } else if (ch === '[') {
+      depth++;
+    } else if (ch === ']') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  throw new Error(`Unclosed [ at position ${start + 1}`);
+}
+
+// End index of a path that starts with $ or @ at text[start]
+function scanJsonPathEnd(text, start) {
+  let i = start + 1;
+  while (i < text.length) {
+    if (text[i] === '.') {
+      i += text[i + 1] === '.' ? 2 : 1;
+      const m = /^(\*|[\w$-]+)/.exec(text.slice(i));
+      if (!m) throw new Error(`Expected a property name at position ${i + 1}`);
+      i += m[1].length;
+    } else if (text[i] === '[') {
+      i = findJsonBracketEnd(text, i) + 1;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+function tokenizeJsonExpr(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    const rest = text.slice(i);
+    let m;
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '$' || ch === '@') {
+      const end = scanJsonPathEnd(text, i);
+      tokens.push({ type: 'path', value: text.slice(i, end), pos: i });
+      i = end;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, pos: i });
+      i++;
+    } else if (ch === '"' || ch === "'") {
+      const { value, end } = readJsonQuoted(text, i);
+      tokens.push({ type: 'literal', value, pos: i });
+      i = end;
+    } else if ((m = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(rest))) {
+      tokens.push({ type: 'literal', value: parseFloat(m[0]), pos: i });
+      i += m[0].length;
+    } else if ((m = /^(true|false|null)\b/.exec(rest))) {
+      tokens.push({ type: 'literal', value: JSON.parse(m[1]), pos: i });
+      i += m[1].length;
+    } else {
+      const op = JSON_OPS.find(o => text.startsWith(o, i));
+      if (!op) throw new Error(`Unexpected "${ch}" at position ${i + 1}`);
+      // A single = is accepted as ==
+      tokens.push({ type: 'op', value: op === '=' ? '==' : op, pos: i });
+      i += op.length;
+    }
+  }
+
+  return tokens;
+}
+
+// Parse one bracket selector's contents: * | index | 'name' | ?(filter)
+function parseJsonBracket(inner) {
+  if (inner === '*') return { type: 'wildcard' };
+  if (inner.startsWith('?')) {
+    const body = inner.slice(1).trim();
+    if (!body.startsWith('(') || !body.endsWith(')')) throw new Error(`Filters must look like [?(...)], got [${inner}]`);
+    return { type: 'filter', expr: parseJsonExpr(body.slice(1, -1)) };
+  }
+  if (/^-?\d+$/.test(inner)) return { type: 'index', index: parseInt(inner, 10) };
+  if (/^(['"]).*\1$/.test(inner)) return { type: 'child', name: readJsonQuoted(inner, 0).value };
+  throw new Error(`Unsupported selector [${inner}]`);
+}
+
+// Parse path text ($... or @...) into segments:
+// { type: 'child', name }, { type: 'index', index }, { type: 'wildcard' },
+// { type: 'descendant', name } ('*' for all) and { type: 'filter', expr }
+function parseJsonPath(text) {
+  const segments = [];
+  let i = 1;
+
+  while (i < text.length) {
+    if (text.startsWith('..', i)) {
+      i += 2;
+      const m = /^(\*|[\w$-]+)/.exec(text.slice(i));
+      if (!m) throw new Error(`Expected a property name after .. in ${text}`);
+      segments.push({ type: 'descendant', name: m[1] });
+      i += m[1].length;
+    } else if (text[i] === '.') {
+      i++;
+      const m = /^(\*|[\w$-]+)/.exec(text.slice(i));
+      if (!m) throw new Error(`Expected a property name after . in ${text}`);
+      segments.push(m[1] === '*' ? { type: 'wildcard' } : { type: 'child', name: m[1] });
+      i += m[1].length;
+    } else if (text[i] === '[') {
+      const end = findJsonBracketEnd(text, i);
+      segments.push(parseJsonBracket(text.slice(i + 1, end).trim()));
+      i = end + 1;
+    } else {
+      throw new Error(`Unexpected "${text[i]}" in ${text}`);
+    }
+  }
+
+  return segments;
+}
+
+// Parse an expression into an AST of { type: 'or'|'and', operands }, { type: 'not', operand },
+// { type: 'compare', op, left, right }, { type: 'truthy', operand }, and operands
+// { type: 'path', text, segments, relative } / { type: 'literal', value }.
+// Throws an Error describing the first problem.
+function parseJsonExpr(text) {
+  const tokens = tokenizeJsonExpr(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+  const describe = (tok) => tok ? `"${tok.value !== undefined ? tok.value : tok.type}" at position ${tok.pos + 1}` : 'end of condition';
+
+  function parseOr() {
+    const operands = [parseAnd()];
+    while (isOp('||')) {
+      pos++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+
+  function parseAnd() {
+    const operands = [parseUnary()];
+    while (isOp('&&')) {
+      pos++;
+      operands.push(parseUnary());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+
+  function parseUnary() {
+    if (isOp('!')) {
+      pos++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    if (peek() && peek().type === '(') {
+      pos++;
+      const inner = parseOr();
+      if (!peek() || peek().type !== ')') throw new Error(`Expected ) but found ${describe(peek())}`);
+      pos++;
+      return inner;
+    }
+    const left = parseOperand();
+    if (peek() && peek().type === 'op' && JSON_COMPARATORS.includes(peek().value)) {
+      const op = tokens[pos++].value;
+      return { type: 'compare', op, left, right: parseOperand() };
+    }
+    return { type: 'truthy', operand: left };
+  }
+
+  function parseOperand() {
+    const tok = peek();
+    if (!tok) throw new Error('Condition is incomplete');
+    pos++;
+    if (tok.type === 'literal') return { type: 'literal', value: tok.value };
+    if (tok.type === 'path') {
+      return { type: 'path', text: tok.value, segments: parseJsonPath(tok.value), relative: tok.value[0] === '@' };
+    }
+    throw new Error(`Expected a path or value but found ${describe(tok)}`);
+  }
+
+  if (tokens.length === 0) throw new Error('Condition is empty');
+  const ast = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected ${describe(peek())}`);
+  return ast;
+}
+
+// --- Evaluation ---
+
+function isJsonContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function isJsonTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (isJsonContainer(value)) return Object.keys(value).length > 0;
+  return !!value;
+}
+
+function jsonEquals(a, b) {
+  if (isJsonContainer(a) || isJsonContainer(b)) return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+}
+
+function compareJsonValues(a, op, b) {
+  if (op === '==') return jsonEquals(a, b);
+  if (op === '!=') return !jsonEquals(a, b);
+  // Ordering only makes sense between two numbers or two strings
+  if (!((typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string'))) return false;
+  switch (op) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    default: return false;
+  }
+}
+
+// Apply one path segment to a node, pushing the results onto out
+function applyJsonSegment(segment, node, root, out) {
+  const children = Array.isArray(node) ? node : isJsonContainer(node) ? Object.values(node) : [];
+
+  switch (segment.type) {
+    case 'child':
+      if (isJsonContainer(node) && !Array.isArray(node) && Object.prototype.hasOwnProperty.call(node, segment.name)) {
+        out.push(node[segment.name]);
+      }
+      break;
+    case 'index':
+      if (Array.isArray(node)) {
+        const index = segment.index < 0 ? node.length + segment.index : segment.index;
+        if (index >= 0 && index < node.length) out.push(node[index]);
+      }
+      break;
+    case 'wildcard':
+      out.push(...children);
+      break;
+    case 'descendant':
+      for (const child of children) {
+        if (segment.name === '*') out.push(child);
+      }
+      if (segment.name !== '*' && isJsonContainer(node) && !Array.isArray(node) && Object.prototype.hasOwnProperty.call(node, segment.name)) {
+        out.push(node[segment.name]);
+      }
+      for (const child of children) {
+        if (isJsonContainer(child)) applyJsonSegment(segment, child, root, out);
+      }
+      break;
+    case 'filter':
+      for (const child of children) {
+        if (evaluateJsonExpr(segment.expr, root, child)) out.push(child);
+      }
+      break;
+  }
+}
+
+// All values a parsed path selects, starting from start ($ = root, @ = current)
+function selectJsonPath(segments, start, root) {
+  let nodes = [start];
+  for (const segment of segments) {
+    const next = [];
+    for (const node of nodes) applyJsonSegment(segment, node, root, next);
+    nodes = next;
+  }
+  return nodes;
+}
+
+function evaluateJsonOperand(node, root, current) {
+  if (node.type === 'literal') return [node.value];
+  return selectJsonPath(node.segments, node.relative ? current : root, root);
+}
+
+function evaluateJsonExpr(node, root, current) {
+  switch (node.type) {
+    case 'or': return node.operands.some(n => evaluateJsonExpr(n, root, current));
+    case 'and': return node.operands.every(n => evaluateJsonExpr(n, root, current));
+    case 'not': return !evaluateJsonExpr(node.operand, root, current);
+    case 'truthy': return evaluateJsonOperand(node.operand, root, current).some(isJsonTruthy);
+    case 'compare': {
+      const left = evaluateJsonOperand(node.left, root, current);
+      const right = evaluateJsonOperand(node.right, root, current);
+      return left.some(a => right.some(b => compareJsonValues(a, node.op, b)));
+    }
+    default: return false;
+  }
+}
+
+// First path in an expression (left to right), or null
+function firstJsonPath(node) {
+  switch (node.type) {
+    case 'path': return node;
+    case 'or':
+    case 'and':
+      for (const operand of node.operands) {
+        const path = firstJsonPath(operand);
+        if (path) return path;
+      }
+      return null;
+    case 'not':
+    case 'truthy': return firstJsonPath(node.operand);
+    case 'compare': return firstJsonPath(node.left) || firstJsonPath(node.right);
+    default: return null;
+  }
+}
+
+// Parse a JSON monitor condition. Throws an Error describing the first problem.
+function parseJsonCondition(text) {
+  const ast = parseJsonExpr(text);
+  const path = firstJsonPath(ast);
+  if (!path || path.relative) throw new Error('The condition needs a path starting with $');
+  return ast;
+}
+
+// Evaluate a condition against parsed JSON: { matched, value, fragment }.
+// value is the first value of the condition's first path (shown on the card), and
+// fragment is what its last filter picked (e.g. the whole product), or the values.
+function evaluateJsonCondition(text, data) {
+  const ast = parseJsonCondition(text);
+  const path = firstJsonPath(ast);
+  const values = selectJsonPath(path.segments, data, data);
+  const lastFilter = path.segments.map(s => s.type).lastIndexOf('filter');
+  const fragments = lastFilter >= 0 ? selectJsonPath(path.segments.slice(0, lastFilter + 1), data, data) : values;
+
+  return {
+    matched: evaluateJsonExpr(ast, data, data),
+    value: values.length > 0 ? values[0] : null,
+    fragment: fragments.length === 1 ? fragments[0] : fragments
+  };
+}
@@ -0,0 +1,606 @@
+// matcher.js - Search term parsing and evaluation shared by content script, popup
+// and the offscreen document (background monitors)
+
+// --- Boolean Query Language ---
+// Grammar (AND binds tighter than OR, NOT binds tightest):
+//   query   := orExpr
+//   orExpr  := andExpr ( OR andExpr )*
+//   andExpr := notExpr ( AND notExpr )*
+//   notExpr := NOT notExpr | '(' orExpr ')' | operand
+//   operand := "quoted phrase" | /regex/ | bare words (joined into one phrase)
+// Keywords must be uppercase, so "Sold out and gone" stays a plain phrase.
+
+const QUERY_KEYWORDS = ['AND', 'OR', 'NOT'];
+
+function tokenizeQuery(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, pos: i });
+      i++;
+    } else if (ch === '"' || ch === '/') {
+      // Quoted phrase or regex literal, backslash escapes the delimiter
+      const start = i;
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== ch) {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          // Keep escapes inside regexes (except the delimiter) so the pattern is unchanged
+          if (ch === '/' && text[i + 1] !== '/') value += '\\';
+          value += text[i + 1];
+          i += 2;
+        } else {
+          value += text[i++];
+        }
+      }
+      if (i >= text.length) {
+        throw new Error(`Unterminated ${ch === '"' ? 'quote' : 'regex'} at position ${start + 1}`);
+      }
+      i++;
+      if (!value) throw new Error(`Empty ${ch === '"' ? 'phrase' : 'regex'} at position ${start + 1}`);
+      tokens.push({ type: ch === '"' ? 'phrase' : 'regex', value, pos: start });
+    } else {
+      const start = i;
+      while (i < text.length && !/[\s()"]/.test(text[i])) i++;
+      const word = text.slice(start, i);
+      tokens.push(QUERY_KEYWORDS.includes(word) ? { type: word, pos: start } : { type: 'word', value: word, pos: start });
+    }
+  }
+
+  return tokens;
+}
+
+// Parse query text into an AST of { type: 'and'|'or', operands }, { type: 'not', operand }
+// and { type: 'term', term, regex } nodes. Throws an Error describing the first problem.
+function parseQuery(text) {
+  const tokens = tokenizeQuery(text || '');
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const describe = (tok) => tok ? `"${tok.value || tok.type}" at position ${tok.pos + 1}` : 'end of query';
+
+  function parseOr() {
+    const operands = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+
+  function parseAnd() {
+    const operands = [parseNot()];
+    while (peek() && peek().type === 'AND') {
+      pos++;
+      operands.push(parseNot());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+
+  function parseNot() {
+    const tok = peek();
+    if (!tok) throw new Error('Query ended unexpectedly');
+
+    if (tok.type === 'NOT') {
+      pos++;
+      return { type: 'not', operand: parseNot() };
+    }
+    if (tok.type === '(') {
+      pos++;
+      const inner = parseOr();
+      if (!peek() || peek().type !== ')') throw new Error(`Missing ")" for "(" at position ${tok.pos + 1}`);
+      pos++;
+      return inner;
+    }
+    if (tok.type === 'phrase') {
+      pos++;
+      return { type: 'term', term: tok.value };
+    }
+    if (tok.type === 'regex') {
+      pos++;
+      try {
+        new RegExp(tok.value, 'i');
+      } catch (e) {
+        throw new Error(`Invalid regular expression /${tok.value}/: ${e.message}`);
+      }
+      return { type: 'term', term: tok.value, regex: true };
+    }
+    if (tok.type === 'word') {
+      // Consecutive bare words form a single phrase
+      const words = [];
+      while (peek() && peek().type === 'word') words.push(tokens[pos++].value);
+      return { type: 'term', term: words.join(' ') };
+    }
+    throw new Error(`Unexpected ${describe(tok)}`);
+  }
+
+  if (tokens.length === 0) throw new Error('Query is empty');
+  const ast = parseOr();
+  if (pos < tokens.length) throw new Error(`Expected AND or OR before ${describe(peek())}`);
+  return ast;
+}
+
+// Serialize builder rows (flat AND/OR list) into equivalent query text
+function searchTermsToQueryText(searchTerms) {
+  return searchTerms.map((t, i) => {
+    const operand = t.query ? `(${t.term})`
+      : t.regex ? `/${t.term.replace(/\//g, '\\/')}/`
+      : `"${t.term.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    return i === 0 ? operand : `${t.operator} ${operand}`;
+  }).join(' ');
+}
+
+// Convert a query AST back into builder rows, or null if it needs NOT/nesting
+function queryToSearchTerms(ast) {
+  const isTerm = (node) => node.type === 'term';
+  const groups = ast.type === 'or' ? ast.operands : [ast];
+  const terms = [];
+
+  for (const group of groups) {
+    const members = group.type === 'and' ? group.operands : [group];
+    if (!members.every(isTerm)) return null;
+    members.forEach((node, i) => {
+      const entry = { term: node.term, operator: terms.length === 0 ? null : (i === 0 ? 'OR' : 'AND') };
+      if (node.regex) entry.regex = true;
+      terms.push(entry);
+    });
+  }
+  return terms;
+}
+
+// --- Numbers ---
+
+// Parse a number from price-like text in common locale formats:
+// "$1,499.99", "1.499,99 €", "CHF 1'499.90", "₹1,49,999", "1 299,00 kr"
+function parseLocaleNumber(text) {
+  const match = String(text).match(/-?\d+(?:[ \u00a0\u202f'’.,]\d{2,3}(?!\d))*(?:[.,]\d+)?/);
+  if (!match) return null;
+
+  let num = match[0].replace(/[ \u00a0\u202f'’]/g, '');
+  const lastDot = num.lastIndexOf('.');
+  const lastComma = num.lastIndexOf(',');
+  let decimalSep = null;
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both present: whichever comes last is the decimal separator
+    decimalSep = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const sep = lastDot !== -1 ? '.' : ',';
+    const parts = num.split(sep);
+    // Repeated separators, or one followed by exactly 3 digits ("1,499"), group thousands
+    const isThousands = parts.length > 2 || (parts[1].length === 3 && parts[0] !== '0' && parts[0] !== '-0');
+    if (!isThousands) decimalSep = sep;
+  }
+
+  const groupSep = decimalSep === ',' ? '.' : ',';
+  num = num.split(groupSep).join('');
+  if (decimalSep === ',') num = num.replace(',', '.');
+  else if (!decimalSep) num = num.replace(/[.,]/g, '');
+
+  const value = parseFloat(num);
+  return isNaN(value) ? null : value;
+}
+
+// Pull the number a numeric condition refers to from the page.
+// entry.pattern uses capture group 1 when present, otherwise the whole match.
+function extractNumber(entry, ctx) {
+  let raw = null;
+  try {
+    if (entry.pattern) {
+      const m = new RegExp(entry.pattern, 'i').exec(ctx.text);
+      if (m) raw = m[1] !== undefined ? m[1] : m[0];
+    } else if (entry.selector && ctx.doc) {
+      const el = ctx.doc.querySelector(entry.selector);
+      if (el) raw = el.innerText || el.textContent || '';
+    }
+  } catch (e) {
+    return null; // Invalid patterns/selectors are rejected by the popup before saving
+  }
+  return raw === null ? null : parseLocaleNumber(raw);
+}
+
+// Compare an extracted number. "changed" fires when the value moved by at least
+// entry.value percent from the baseline (the first value seen by this monitor).
+function compareNumber(entry, value, baseline) {
+  switch (entry.op) {
+    case '<': return value < entry.value;
+    case '<=': return value <= entry.value;
+    case '>': return value > entry.value;
+    case '>=': return value >= entry.value;
+    case 'changed':
+      if (baseline === null || baseline === undefined) return false;
+      if (baseline === 0) return value !== 0;
+      return Math.abs(value - baseline) / Math.abs(baseline) * 100 >= entry.value;
+    default: return false;
+  }
+}
+
+// --- Element State ---
+
+// Visible = rendered with a box. Parsed documents (no defaultView) have no layout,
+// so there only hidden attributes and inline display:none count.
+function isElementVisible(el) {
+  const view = el.ownerDocument && el.ownerDocument.defaultView;
+  if (!view) return !el.closest('[hidden], [style*="display: none"], [style*="display:none"]');
+  const style = view.getComputedStyle(el);
+  if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') return false;
+  return el.getClientRects().length > 0;
+}
+
+// Enabled = not disabled natively, via aria-disabled, or via a "disabled" style class
+function isElementEnabled(el) {
+  if (el.matches(':disabled')) return false;
+  if (el.closest('[aria-disabled="true"]')) return false;
+  return ![...el.classList].some(c => /(^|[-_])disabled$/i.test(c));
+}
+
+// Element conditions: { selector, state, name, value }. Matches if ANY element
+// selected by the selector is in the requested state.
+function elementStateMatches(entry, ctx) {
+  if (!ctx.doc) return false;
+  let elements;
+  try {
+    elements = [...ctx.doc.querySelectorAll(entry.selector)];
+  } catch (e) {
+    return false; // Invalid selectors are rejected by the popup before saving
+  }
+
+  const value = entry.value || '';
+  return elements.some(el => {
+    switch (entry.state) {
+      case 'exists': return true;
+      case 'visible': return isElementVisible(el);
+      case 'enabled': return isElementEnabled(el);
+      case 'attrEquals': return el.getAttribute(entry.name) === value;
+      case 'attrContains': return (el.getAttribute(entry.name) || '').includes(value);
+      case 'hasClass': return el.classList.contains(value);
+      case 'classContains': return (el.getAttribute('class') || '').includes(value);
+      default: return false;
+    }
+  });
+}
+
+// --- Match Options ---
+// Per-monitor options: { caseSensitive, wholeWord, foldAccents }
+
+// Letters, digits and underscore in any script count as word characters
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+// Strip diacritics one character at a time so positions still line up with the
+// input ("Disponível" -> "Disponivel")
+function foldAccents(text) {
+  return text.replace(/[^\u0000-\u007f]/g, (c) => {
+    const base = c.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return base.length === 1 ? base : c;
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Build a RegExp for a term honoring the case and whole-word options
+function buildTermRegExp(source, options, extraFlags = '') {
+  const flags = (options.caseSensitive ? '' : 'i') + extraFlags;
+  if (!options.wholeWord) return new RegExp(source, flags);
+  try {
+    return new RegExp(`(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})`, flags + 'u');
+  } catch (e) {
+    // Some patterns are only valid without the unicode flag - fall back to ASCII boundaries
+    return new RegExp(`\\b(?:${source})\\b`, flags);
+  }
+}
+
+// Test a plain (non-regex) term against the prepared page text
+function textTermMatches(term, ctx) {
+  const { options } = ctx;
+  let needle = options.foldAccents ? foldAccents(term.normalize('NFC')) : term;
+  if (!options.caseSensitive) needle = needle.toLowerCase();
+  if (!options.wholeWord) return ctx.haystack.includes(needle);
+  return buildTermRegExp(escapeRegExp(needle), options).test(ctx.haystack);
+}
+
+// Test a regex term against the page text (accent-folded, original case)
+function regexTermMatches(pattern, ctx) {
+  const { options } = ctx;
+  return buildTermRegExp(options.foldAccents ? foldAccents(pattern) : pattern, options).test(ctx.folded);
+}
+
+// RegExp for a text or regex term plus the prepared text it should run against
+function prepareTermSearch(entry, ctx, extraFlags = '') {
+  const { options } = ctx;
+  if (entry.regex) {
+    return {
+      re: buildTermRegExp(options.foldAccents ? foldAccents(entry.term) : entry.term, options, extraFlags),
+      haystack: ctx.folded
+    };
+  }
+  let needle = options.foldAccents ? foldAccents(entry.term.normalize('NFC')) : entry.term;
+  if (!options.caseSensitive) needle = needle.toLowerCase();
+  return { re: buildTermRegExp(escapeRegExp(needle), options, extraFlags), haystack: ctx.haystack };
+}
+
+// Count non-overlapping occurrences of a text or regex term
+function countTermOccurrences(entry, ctx) {
+  const { re, haystack } = prepareTermSearch(entry, ctx, 'g');
+
+  let count = 0;
+  let m;
+  while ((m = re.exec(haystack)) !== null) {
+    count++;
+    if (m[0] === '') re.lastIndex++; // Avoid looping forever on empty matches
+  }
+  return count;
+}
+
+// Occurrence-count comparators for text terms: { op: '>=' | '<', value }
+function compareCount(countRule, count) {
+  return countRule.op === '<' ? count < countRule.value : count >= countRule.value;
+}
+
+// --- Match Context ---
+
+// Text and regex terms that can make a search match, in order. Number and element
+// conditions and anything under NOT never point at matched text, so they're skipped.
+function positiveTextTerms(searchTerms) {
+  const terms = [];
+  const walk = (node) => {
+    if (node.type === 'and' || node.type === 'or') node.operands.forEach(walk);
+    else if (node.type === 'term') terms.push(node);
+  };
+  for (const entry of searchTerms || []) {
+    if (entry.type) continue;
+    if (entry.query) {
+      try {
+        walk(parseQuery(entry.term));
+      } catch (e) {}
+    } else {
+      terms.push(entry);
+    }
+  }
+  return terms;
+}
+
+// Text around the first match of a positive term: { term, match, snippet }, or
+// null when only number/element conditions matched
+function findMatchSnippet(searchTerms, ctx, radius = 80) {
+  for (const entry of positiveTextTerms(searchTerms)) {
+    let m;
+    try {
+      const { re, haystack } = prepareTermSearch(entry, ctx);
+      m = re.exec(haystack);
+    } catch (e) {
+      continue;
+    }
+    if (!m) continue;
+
+    const start = Math.max(0, m.index - radius);
+    const end = Math.min(ctx.text.length, m.index + m[0].length + radius);
+    const snippet = ctx.text.slice(start, end).replace(/\s+/g, ' ').trim();
+    return {
+      term: entry.term,
+      match: ctx.text.slice(m.index, m.index + m[0].length),
+      snippet: (start > 0 ? '…' : '') + snippet + (end < ctx.text.length ? '…' : '')
+    };
+  }
+  return null;
+}
+
+// --- Evaluation ---
+
+// Everything a check needs: the (region) text prepared for the monitor's match
+// options, the document for selector lookups, and the monitor's value baseline.
+// Extracted numbers are collected in ctx.values, and occurrence counts in
+// ctx.counts, so the caller can report them.
+function createMatchContext(text, doc, monitor) {
+  const options = (monitor && monitor.matchOptions) || {};
+  const source = options.foldAccents ? text.normalize('NFC') : text;
+  const folded = options.foldAccents ? foldAccents(source) : source;
+  return {
+    text: source,
+    folded,
+    haystack: options.caseSensitive ? folded : folded.toLowerCase(),
+    options,
+    doc,
+    baselineValue: monitor ? monitor.baselineValue : null,
+    values: [],
+    counts: []
+  };
+}
+
+// Test a single search term entry against the page
+function termMatches(entry, ctx) {
+  if (entry.type === 'element') {
+    return elementStateMatches(entry, ctx);
+  }
+  if (entry.type === 'number') {
+    const value = extractNumber(entry, ctx);
+    if (value === null) return false;
+    ctx.values.push(value);
+    return compareNumber(entry, value, ctx.baselineValue);
+  }
+  if (entry.query) {
+    try {
+      return evaluateQuery(parseQuery(entry.term), ctx);
+    } catch (e) {
+      return false; // Invalid queries are rejected by the popup before saving
+    }
+  }
+  if (entry.count) {
+    try {
+      const count = countTermOccurrences(entry, ctx);
+      ctx.counts.push({ term: entry.term, count });
+      return compareCount(entry.count, count);
+    } catch (e) {
+      return false;
+    }
+  }
+  if (entry.regex) {
+    try {
+      return regexTermMatches(entry.term, ctx);
+    } catch (e) {
+      return false;
+    }
+  }
+  return textTermMatches(entry.term, ctx);
+}
+
+// Evaluate a parsed query AST against the page
+function evaluateQuery(node, ctx) {
+  switch (node.type) {
+    case 'and': return node.operands.every(n => evaluateQuery(n, ctx));
+    case 'or': return node.operands.some(n => evaluateQuery(n, ctx));
+    case 'not': return !evaluateQuery(node.operand, ctx);
+    default: return termMatches(node, ctx);
+  }
+}
+
+// A monitor's conditions; monitors from before the terms builder only have searchText
+function getMonitorTerms(monitor) {
+  if (monitor.searchTerms && monitor.searchTerms.length > 0) return monitor.searchTerms;
+  return [{ term: monitor.searchText, operator: null }];
+}
+
+// Evaluate AND/OR search terms against the page
+// Standard precedence: AND binds tighter than OR
+// "A OR B AND C" => "A OR (B AND C)"
+function evaluateSearchTerms(searchTerms, ctx) {
+  if (!searchTerms || searchTerms.length === 0) return false;
+
+  // If only a single term (legacy or simple), just check inclusion
+  if (searchTerms.length === 1) {
+    return termMatches(searchTerms[0], ctx);
+  }
+
+  // Split into OR-groups (each group is a set of AND-connected terms)
+  const orGroups = [];
+  let currentGroup = [];
+
+  for (const entry of searchTerms) {
+    if (entry.operator === 'OR' && currentGroup.length > 0) {
+      orGroups.push(currentGroup);
+      currentGroup = [];
+    }
+    currentGroup.push(entry);
+  }
+  if (currentGroup.length > 0) {
+    orGroups.push(currentGroup);
+  }
+
+  // Any OR group fully matching means success.
+  // Every term is evaluated (no short-circuit) so all numbers get extracted.
+  let matched = false;
+  for (const group of orGroups) {
+    const results = group.map(entry => termMatches(entry, ctx));
+    if (results.every(Boolean)) matched = true;
+  }
+  return matched;
+}
+
+// --- Error Pages ---
+
+// Single compiled regex for fast matching of throttling, network and server errors
+const ERROR_PATTERN_RE = /can'?t reach this page|cannot reach this page|this site can'?t be reached|this page isn'?t working|err_(connection|http|ssl|timed_out|name_not_resolved|network|failed|aborted|blocked)|connection timed out|50[0234] (bad gateway|internal server error|service unavailable|gateway timeout)|access denied|too many requests|rate limit/i;
+
+// True for error pages, or very minimal pages with error keywords. httpOk means the
+// main-frame status was fine (2xx/3xx), so only those bare stubs count: a real page
+// that merely mentions "access denied" or "rate limit" is not an error.
+function looksLikeErrorPage(text, title, httpOk = false) {
+  if (!httpOk && (ERROR_PATTERN_RE.test(text) || ERROR_PATTERN_RE.test(title || ''))) return true;
+  return text.length < 200 && /error|denied/i.test(text);
+}
+
+// --- Change Detection ---
+
+// Keep stored baselines small enough for chrome.storage.local
+const MAX_BASELINE_CHARS = 20000;
+
+// Split ignore rules into CSS selectors and /regex/ patterns
+function parseIgnoreRules(ignoreRules) {
+  const selectors = [];
+  const patterns = [];
+  for (const rule of ignoreRules || []) {
+    const trimmed = rule.trim();
+    if (!trimmed) continue;
+    if (trimmed.length > 2 && trimmed.startsWith('/') && trimmed.endsWith('/')) {
+      patterns.push(trimmed.slice(1, -1));
+    } else {
+      selectors.push(trimmed);
+    }
+  }
+  return { selectors, patterns };
+}
+
+// Extract normalized text from a region, dropping ignored elements and patterns.
+// Works on a detached clone so the live page is never modified. extraTexts (e.g.
+// shadow root and iframe text from a deep scan) are appended before the patterns apply.
+function extractRegionText(region, ignoreRules, extraTexts = []) {
+  const { selectors, patterns } = parseIgnoreRules(ignoreRules);
+  const clone = region.cloneNode(true);
+
+  const removeSelectors = ['script', 'style', 'noscript', 'template', '.watchdog-alert-overlay', ...selectors];
+  for (const selector of removeSelectors) {
+    try {
+      clone.querySelectorAll(selector).forEach(el => el.remove());
+    } catch (e) {
+      // Invalid selectors are rejected by the popup before saving
+    }
+  }
+
+  // Block-level boundaries become spaces so words from adjacent elements don't merge
+  let text = '';
+  const walker = (region.ownerDocument || document).createTreeWalker(clone, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) text += walker.currentNode.nodeValue + ' ';
+  for (const extra of extraTexts) text += extra + ' ';
+
+  for (const pattern of patterns) {
+    try {
+      text = text.replace(new RegExp(pattern, 'gi'), ' ');
+    } catch (e) {}
+  }
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// FNV-1a hash of the text, prefixed with its length
+function fingerprintText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return text.length.toString(36) + '-' + (hash >>> 0).toString(36);
+}
+
+// Short word-level before/after summary of what changed between two texts
+function summarizeTextDiff(before, after, maxLen = 160) {
+  const a = before ? before.split(' ') : [];
+  const b = after ? after.split(' ') : [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const clip = (words) => {
+    const text = words.join(' ');
+    return text.length > maxLen ? text.substring(0, maxLen) + '…' : text;
+  };
+
+  return {
+    context: clip(a.slice(Math.max(0, start - 6), start)),
+    before: clip(a.slice(start, endA)),
+    after: clip(b.slice(start, endB))
+  };
+}
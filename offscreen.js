@@ -1,4 +1,5 @@
-// Offscreen document for playing audio (bypasses autoplay restrictions)
+// Offscreen document for playing audio (bypasses autoplay restrictions) and for
+// parsing pages fetched by background monitors (service workers have no DOMParser)
 
 let audio = null;
 let isPlaying = false;
@@ -11,6 +12,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   } else if (message.action === 'stopAlarm') {
     stopAlarm();
     sendResponse({ status: 'stopped' });
+  } else if (message.action === 'evaluateHtml') {
+    try {
+      sendResponse(evaluateHtml(message.html, message.monitor, message.httpStatus));
+    } catch (e) {
+      console.error('[Offscreen] Evaluation failed:', e);
+      sendResponse({ error: e.message });
+    }
   }
   return true;
 });
@@ -35,6 +43,61 @@ function playAlarm() {
   }
 }
 
+// Evaluate a background monitor against fetched HTML, mirroring content.js's checks.
+// Returns { error?, regionMissing, fires, diff, baseline, nextBaseline?, value, counts, context }.
+function evaluateHtml(html, monitor, httpStatus) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const result = { regionMissing: false, fires: false, diff: null, baseline: null, value: null, counts: null, context: null };
+
+  // Parsed documents have no layout, so innerText would include script text
+  const pageText = doc.body ? extractRegionText(doc.body, []) : '';
+  if (!pageText) return { ...result, error: 'Blank page' };
+  if (looksLikeErrorPage(pageText, doc.title, httpStatus < 400)) return { ...result, error: 'Error page' };
+
+  let region = doc.body;
+  if (monitor.selector) {
+    try {
+      region = doc.querySelector(monitor.selector);
+    } catch (e) {
+      region = null;
+    }
+    if (!region) return { ...result, regionMissing: true };
+  }
+
+  const context = { pageTitle: doc.title, snippet: null, match: null, selectorPath: monitor.selector || null };
+
+  if (monitor.type === 'change') {
+    const snapshot = extractRegionText(region, monitor.ignoreRules).substring(0, MAX_BASELINE_CHARS);
+    const fingerprint = fingerprintText(snapshot);
+    if (!monitor.fingerprint) {
+      result.baseline = { fingerprint, baselineText: snapshot };
+    } else if (fingerprint !== monitor.fingerprint) {
+      result.fires = true;
+      result.diff = summarizeTextDiff(monitor.baselineText || '', snapshot);
+      result.context = context;
+      result.nextBaseline = { fingerprint, baselineText: snapshot }; // Re-arming monitors move on to this
+    }
+    return result;
+  }
+
+  const text = monitor.selector ? extractRegionText(region, []) : pageText;
+  const ctx = createMatchContext(text, doc, monitor);
+  const isMatch = evaluateSearchTerms(getMonitorTerms(monitor), ctx);
+  if (ctx.values.length > 0) result.value = ctx.values[0];
+  if (ctx.counts.length > 0) result.counts = ctx.counts;
+
+  result.fires = monitor.matchMode === 'absent' ? !isMatch : isMatch;
+  if (result.fires) {
+    const found = isMatch ? findMatchSnippet(getMonitorTerms(monitor), ctx) : null;
+    if (found) {
+      context.snippet = found.snippet;
+      context.match = found.match;
+    }
+    result.context = context;
+  }
+  return result;
+}
+
 function stopAlarm() {
   if (audio) {
     audio.pause();
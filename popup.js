@@ -3,7 +3,36 @@ document.addEventListener('DOMContentLoaded', () => {
   const stopAllBtn = document.getElementById('stopAllBtn');
   const addTermBtn = document.getElementById('addTermBtn');
   const termsBuilder = document.getElementById('termsBuilder');
-  const intervalSelect = document.getElementById('interval');
+  const queryModeBtn = document.getElementById('queryModeBtn');
+  const queryInput = document.getElementById('queryInput');
+  const intervalInput = document.getElementById('interval');
+  const liveModeBtn = document.getElementById('liveModeBtn');
+  const backgroundModeBtn = document.getElementById('backgroundModeBtn');
+  const readinessRow = document.getElementById('readinessRow');
+  const selectorInput = document.getElementById('selectorInput');
+  const matchModeSelect = document.getElementById('matchMode');
+  const matchModeRow = document.getElementById('matchModeRow');
+  const monitorTypeSelect = document.getElementById('monitorType');
+  const textOptions = document.getElementById('textOptions');
+  const jsonConditionInput = document.getElementById('jsonConditionInput');
+  const selectorRow = document.getElementById('selectorRow');
+  const ignoreRulesInput = document.getElementById('ignoreRulesInput');
+  const deepScanBtn = document.getElementById('deepScanBtn');
+  const confirmCountSelect = document.getElementById('confirmCount');
+  const confirmReloadBtn = document.getElementById('confirmReloadBtn');
+  const rearmBtn = document.getElementById('rearmBtn');
+  const targetUrlsInput = document.getElementById('targetUrlsInput');
+  const cancelEditBtn = document.getElementById('cancelEditBtn');
+  const cooldownSelect = document.getElementById('cooldown');
+  const scheduleInput = document.getElementById('scheduleInput');
+  const scheduleTimeZoneSelect = document.getElementById('scheduleTimeZone');
+  const launchAtInput = document.getElementById('launchAt');
+  const launchProfileSelect = document.getElementById('launchProfile');
+  const launchDecaySelect = document.getElementById('launchDecay');
+  const readinessStrategySelect = document.getElementById('readinessStrategy');
+  const readinessValueInput = document.getElementById('readinessValue');
+  const readinessTimeoutInput = document.getElementById('readinessTimeout');
+  const matchOptionButtons = document.querySelectorAll('#matchOptions .match-option-btn');
   const monitorsSection = document.getElementById('monitorsSection');
   const monitorsList = document.getElementById('monitorsList');
   const monitorCount = document.getElementById('monitorCount');
@@ -19,6 +48,22 @@ document.addEventListener('DOMContentLoaded', () => {
   let currentTabTitle = '';
   let updateInterval = null;
   let initialFocusDone = false;
+  let queryMode = false;
+  let editingGroupId = null; // Multi-URL monitor loaded into the form for editing
+
+  // Comparators offered for number conditions
+  const NUMBER_OP_LABELS = { '<': '<', '<=': '≤', '>': '>', '>=': '≥', 'changed': 'changed by %' };
+
+  // States offered for element conditions (needsName: attribute name, needsValue: compared value)
+  const ELEMENT_STATES = {
+    exists: { label: 'exists' },
+    visible: { label: 'is visible' },
+    enabled: { label: 'is enabled' },
+    attrEquals: { label: 'attr =', needsName: true, needsValue: true },
+    attrContains: { label: 'attr contains', needsName: true, needsValue: true },
+    hasClass: { label: 'has class', needsValue: true },
+    classContains: { label: 'class contains', needsValue: true }
+  };
 
   console.log('Popup loaded');
 
@@ -44,11 +89,11 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   // Save the current search config for this URL
-  function saveSearchConfig(url, searchTerms, interval) {
+  function saveSearchConfig(url, config) {
     const key = normalizeUrl(url);
     chrome.storage.local.get(['urlSearchConfigs'], (result) => {
       const configs = result.urlSearchConfigs || {};
-      configs[key] = { searchTerms, interval, savedAt: Date.now() };
+      configs[key] = { ...config, savedAt: Date.now() };
       // Keep only the most recent 100 configs
       const keys = Object.keys(configs);
       if (keys.length > 100) {
@@ -70,8 +115,132 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
-  // Create a term row element
-  function createTermRow(operator, termValue) {
+  // Submit the form when Enter is pressed in a builder input
+  function submitOnEnter(input) {
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        startMonitoring();
+      }
+    });
+  }
+
+  // Text condition: search term plus regex toggle
+  function buildTextFields(fields, entry, isFirst) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'term-input';
+    input.placeholder = isFirst ? 'Search text (e.g., RTX 5090)' : 'Another term...';
+    input.value = entry.term || '';
+    submitOnEnter(input);
+    fields.appendChild(input);
+
+    // Toggle between plain substring and regular expression matching
+    const regexBtn = document.createElement('button');
+    regexBtn.className = 'regex-toggle-btn' + (entry.regex ? ' active' : '');
+    regexBtn.textContent = '.*';
+    regexBtn.title = 'Treat this term as a regular expression';
+    regexBtn.addEventListener('click', () => {
+      regexBtn.classList.toggle('active');
+    });
+    fields.appendChild(regexBtn);
+
+    // Optional occurrence-count threshold ("at least N" / "fewer than N" times)
+    const countOp = document.createElement('select');
+    countOp.className = 'count-op';
+    countOp.title = 'Require the term to appear at least / fewer than N times';
+    countOp.innerHTML = '<option value="">×</option><option value=">=">≥ N×</option><option value="<">&lt; N×</option>';
+    countOp.value = entry.count ? entry.count.op : '';
+    fields.appendChild(countOp);
+
+    const countValue = document.createElement('input');
+    countValue.type = 'number';
+    countValue.className = 'count-value';
+    countValue.min = '0';
+    countValue.step = '1';
+    countValue.placeholder = 'N';
+    countValue.value = entry.count ? entry.count.value : '';
+    countValue.style.display = entry.count ? 'block' : 'none';
+    submitOnEnter(countValue);
+    fields.appendChild(countValue);
+
+    countOp.addEventListener('change', () => {
+      countValue.style.display = countOp.value ? 'block' : 'none';
+      if (countOp.value) countValue.focus();
+    });
+  }
+
+  // Number condition: where to read the number, comparator and threshold
+  function buildNumberFields(fields, entry) {
+    const source = document.createElement('input');
+    source.type = 'text';
+    source.className = 'number-source';
+    source.placeholder = 'Selector or /regex (\\d+)/';
+    source.title = 'CSS selector of the element holding the number, or a /regex/ whose first capture group is the number';
+    source.value = entry.pattern ? `/${entry.pattern}/` : (entry.selector || '');
+    submitOnEnter(source);
+    fields.appendChild(source);
+
+    const opSelect = document.createElement('select');
+    opSelect.className = 'number-op';
+    opSelect.innerHTML = Object.entries(NUMBER_OP_LABELS).map(([op, label]) => `<option value="${op}">${label}</option>`).join('');
+    opSelect.value = entry.op || '<';
+    fields.appendChild(opSelect);
+
+    const value = document.createElement('input');
+    value.type = 'number';
+    value.className = 'number-value';
+    value.step = 'any';
+    value.placeholder = 'Value';
+    value.title = 'Threshold (percent for "changed")';
+    value.value = entry.value !== undefined ? entry.value : '';
+    submitOnEnter(value);
+    fields.appendChild(value);
+  }
+
+  // Element condition: selector plus the state the element must be in
+  function buildElementFields(fields, entry) {
+    const selector = document.createElement('input');
+    selector.type = 'text';
+    selector.className = 'element-selector';
+    selector.placeholder = 'Selector, e.g. button.add-to-cart';
+    selector.value = entry.selector || '';
+    submitOnEnter(selector);
+    fields.appendChild(selector);
+
+    const stateSelect = document.createElement('select');
+    stateSelect.className = 'element-state';
+    stateSelect.innerHTML = Object.entries(ELEMENT_STATES).map(([state, s]) => `<option value="${state}">${s.label}</option>`).join('');
+    stateSelect.value = entry.state || 'enabled';
+    fields.appendChild(stateSelect);
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'element-attr';
+    name.placeholder = 'attr';
+    name.value = entry.name || '';
+    fields.appendChild(name);
+
+    const value = document.createElement('input');
+    value.type = 'text';
+    value.className = 'element-value';
+    value.placeholder = 'value';
+    value.value = entry.value || '';
+    submitOnEnter(value);
+    fields.appendChild(value);
+
+    const updateVisibility = () => {
+      const state = ELEMENT_STATES[stateSelect.value];
+      name.style.display = state.needsName ? 'block' : 'none';
+      value.style.display = state.needsValue ? 'block' : 'none';
+    };
+    stateSelect.addEventListener('change', updateVisibility);
+    updateVisibility();
+  }
+
+  // Create a term row element for a text, number or element condition
+  function createTermRow(operator, entry) {
+    let current = entry || {};
     const row = document.createElement('div');
     row.className = 'term-row';
 
@@ -85,17 +254,29 @@ document.addEventListener('DOMContentLoaded', () => {
       row.appendChild(opSelect);
     }
 
-    const input = document.createElement('input');
-    input.type = 'text';
-    input.placeholder = isFirst ? 'Search text (e.g., RTX 5090)' : 'Another term...';
-    input.value = termValue || '';
-    input.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        startMonitoring();
-      }
+    const kindSelect = document.createElement('select');
+    kindSelect.className = 'kind-select';
+    kindSelect.title = 'Condition type';
+    kindSelect.innerHTML = '<option value="text">Text</option><option value="number">Number</option><option value="element">Element</option>';
+    kindSelect.value = current.type === 'number' || current.type === 'element' ? current.type : 'text';
+    row.appendChild(kindSelect);
+
+    const fields = document.createElement('div');
+    fields.className = 'term-fields';
+    row.appendChild(fields);
+
+    const renderFields = () => {
+      fields.innerHTML = '';
+      row.dataset.kind = kindSelect.value;
+      if (kindSelect.value === 'number') buildNumberFields(fields, current);
+      else if (kindSelect.value === 'element') buildElementFields(fields, current);
+      else buildTextFields(fields, current, isFirst);
+    };
+    kindSelect.addEventListener('change', () => {
+      current = {};
+      renderFields();
     });
-    row.appendChild(input);
+    renderFields();
 
     if (!isFirst) {
       const removeBtn = document.createElement('button');
@@ -114,57 +295,210 @@ document.addEventListener('DOMContentLoaded', () => {
   // Add the first empty term row
   function initTermsBuilder() {
     termsBuilder.innerHTML = '';
-    termsBuilder.appendChild(createTermRow(null, ''));
+    termsBuilder.appendChild(createTermRow(null, null));
+    queryInput.value = '';
+  }
+
+  // Switch between the row builder and the free-text query editor
+  function setQueryMode(enabled, text) {
+    queryMode = enabled;
+    termsBuilder.style.display = enabled ? 'none' : 'block';
+    addTermBtn.style.display = enabled ? 'none' : 'block';
+    queryInput.style.display = enabled ? 'block' : 'none';
+    queryModeBtn.textContent = enabled ? '☰ Edit as rows' : '✎ Edit as query';
+    if (enabled) queryInput.value = text || '';
   }
 
   // Populate terms builder from a saved config
-  function populateTerms(searchTerms, interval) {
+  function populateTerms(searchTerms) {
     termsBuilder.innerHTML = '';
     if (!searchTerms || searchTerms.length === 0) {
       initTermsBuilder();
       return;
     }
+    if (searchTerms.length === 1 && searchTerms[0].query) {
+      initTermsBuilder();
+      setQueryMode(true, searchTerms[0].term);
+      return;
+    }
+    setQueryMode(false);
     for (let i = 0; i < searchTerms.length; i++) {
       const t = searchTerms[i];
-      termsBuilder.appendChild(createTermRow(t.operator, t.term));
-    }
-    if (interval) {
-      intervalSelect.value = String(interval);
+      termsBuilder.appendChild(createTermRow(t.operator, t));
     }
   }
 
-  // Get current search terms from the UI
+  // Get current search terms from the UI (a query is stored as a single entry)
   function getSearchTerms() {
+    if (queryMode) {
+      const text = queryInput.value.trim();
+      return text ? [{ term: text, operator: null, query: true }] : [];
+    }
+    return getRowSearchTerms();
+  }
+
+  // Get search terms from the row builder
+  function getRowSearchTerms() {
     const terms = [];
     const rows = termsBuilder.querySelectorAll('.term-row');
-    rows.forEach((row, i) => {
-      const input = row.querySelector('input[type="text"]');
+    let index = 0;
+    rows.forEach((row) => {
       const opSelect = row.querySelector('.operator-select');
+      const operator = (index === 0) ? null : (opSelect ? opSelect.value : 'AND');
+
+      if (row.dataset.kind === 'number') {
+        const source = row.querySelector('.number-source').value.trim();
+        if (!source) return;
+        const entry = {
+          type: 'number',
+          operator,
+          op: row.querySelector('.number-op').value,
+          value: parseFloat(row.querySelector('.number-value').value)
+        };
+        if (source.length > 2 && source.startsWith('/') && source.endsWith('/')) entry.pattern = source.slice(1, -1);
+        else entry.selector = source;
+        terms.push(entry);
+        index++;
+        return;
+      }
+
+      if (row.dataset.kind === 'element') {
+        const selector = row.querySelector('.element-selector').value.trim();
+        if (!selector) return;
+        const state = row.querySelector('.element-state').value;
+        const entry = { type: 'element', operator, selector, state };
+        if (ELEMENT_STATES[state].needsName) entry.name = row.querySelector('.element-attr').value.trim();
+        if (ELEMENT_STATES[state].needsValue) entry.value = row.querySelector('.element-value').value;
+        terms.push(entry);
+        index++;
+        return;
+      }
+
+      const input = row.querySelector('.term-input');
+      const regexBtn = row.querySelector('.regex-toggle-btn');
+      const countOp = row.querySelector('.count-op');
       const term = input ? input.value.trim() : '';
       if (term) {
-        terms.push({
-          term,
-          operator: (i === 0) ? null : (opSelect ? opSelect.value : 'AND')
-        });
+        const entry = { term, operator };
+        if (regexBtn && regexBtn.classList.contains('active')) entry.regex = true;
+        if (countOp && countOp.value) {
+          entry.count = { op: countOp.value, value: parseInt(row.querySelector('.count-value').value, 10) };
+        }
+        terms.push(entry);
+        index++;
       }
     });
     return terms;
   }
 
+  // Return an error message for the first invalid query, regex or number condition, or null
+  function findSearchTermsError(searchTerms) {
+    for (const t of searchTerms) {
+      if (t.type === 'element') {
+        try {
+          document.createDocumentFragment().querySelector(t.selector);
+        } catch (e) {
+          return `Invalid CSS selector: ${t.selector}`;
+        }
+        if (ELEMENT_STATES[t.state].needsName && !t.name) return `Enter the attribute name to check on ${t.selector}`;
+        continue;
+      }
+      if (t.type === 'number') {
+        if (isNaN(t.value)) return `Enter a number to compare ${t.pattern ? '/' + t.pattern + '/' : t.selector} against`;
+        try {
+          if (t.pattern) new RegExp(t.pattern, 'i');
+          else document.createDocumentFragment().querySelector(t.selector);
+        } catch (e) {
+          return t.pattern ? `Invalid regular expression /${t.pattern}/: ${e.message}` : `Invalid CSS selector: ${t.selector}`;
+        }
+        continue;
+      }
+      if (t.count && (isNaN(t.count.value) || t.count.value < 0)) {
+        return `Enter how many times "${t.term}" should appear`;
+      }
+      try {
+        if (t.query) parseQuery(t.term);
+        else if (t.regex) new RegExp(t.term, 'i');
+      } catch (e) {
+        return t.query ? `Invalid query: ${e.message}` : `Invalid regular expression /${t.term}/: ${e.message}`;
+      }
+    }
+    return null;
+  }
+
   // Build a display string from searchTerms
   function searchTermsToDisplayText(searchTerms) {
+    if (searchTerms.length === 1 && searchTerms[0].query) return searchTerms[0].term;
     return searchTerms.map((t, i) => {
-      if (i === 0) return t.term;
-      return `${t.operator} ${t.term}`;
+      let term;
+      if (t.type === 'element') {
+        const state = ELEMENT_STATES[t.state];
+        const detail = [state.needsName ? t.name : '', state.needsValue ? `"${t.value}"` : ''].filter(Boolean).join(' ');
+        term = `[${t.selector} ${state.label}${detail ? ' ' + detail : ''}]`;
+      } else if (t.type === 'number') {
+        const source = t.pattern ? `/${t.pattern}/` : t.selector;
+        term = t.op === 'changed' ? `${source} changed ≥${t.value}%` : `${source} ${NUMBER_OP_LABELS[t.op]} ${t.value}`;
+      } else {
+        term = t.regex ? `/${t.term}/` : t.term;
+        if (t.count) term += ` ${t.count.op === '<' ? '<' : '≥'}${t.count.value}×`;
+      }
+      if (i === 0) return term;
+      return `${t.operator} ${term}`;
     }).join(' ');
   }
 
   addTermBtn.addEventListener('click', () => {
-    termsBuilder.appendChild(createTermRow('AND', ''));
+    termsBuilder.appendChild(createTermRow('AND', null));
     const newInput = termsBuilder.lastElementChild.querySelector('input[type="text"]');
     if (newInput) newInput.focus();
   });
 
+  // Toggle query text mode, converting between rows and query text where possible
+  queryModeBtn.addEventListener('click', () => {
+    if (!queryMode) {
+      const rows = getRowSearchTerms();
+      if (rows.some(t => t.type === 'number' || t.type === 'element' || t.count)) {
+        alert('Number, element and count conditions can only be edited as rows.');
+        return;
+      }
+      setQueryMode(true, rows.length > 0 ? searchTermsToQueryText(rows) : '');
+      queryInput.focus();
+      return;
+    }
+
+    const text = queryInput.value.trim();
+    let rows = [];
+    if (text) {
+      try {
+        rows = queryToSearchTerms(parseQuery(text));
+      } catch (e) {
+        alert(`Invalid query: ${e.message}`);
+        return;
+      }
+      if (!rows) {
+        alert('This query uses NOT or parentheses and can only be edited as text.');
+        return;
+      }
+    }
+    populateTerms(rows);
+    setQueryMode(false);
+  });
+
+  selectorInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      startMonitoring();
+    }
+  });
+
+  // Ctrl+Enter in the query editor starts monitoring
+  queryInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      startMonitoring();
+    }
+  });
+
   initTermsBuilder();
 
   // Get current tab info
@@ -188,19 +522,19 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Always enable the button - can add multiple monitors per tab
         addBtn.disabled = false;
-        addBtn.textContent = tabMonitorCount > 0 ? 'Add Another Monitor' : 'Start Monitoring';
+        if (!editingGroupId) addBtn.textContent = tabMonitorCount > 0 ? 'Add Another Monitor' : 'Start Monitoring';
         
         // Only auto-populate on initial load
         if (!initialFocusDone) {
           initialFocusDone = true;
           loadSearchConfig(currentTabUrl, (config) => {
-            if (config && config.searchTerms && config.searchTerms.length > 0) {
-              populateTerms(config.searchTerms, config.interval);
+            if (config && (config.type === 'change' || config.type === 'json' || (config.searchTerms && config.searchTerms.length > 0))) {
+              applyConfigToForm(config);
               savedConfigHint.textContent = '💾 Restored last search config for this URL';
               savedConfigHint.style.display = 'block';
             }
             // Focus the first input
-            const firstInput = termsBuilder.querySelector('input[type="text"]');
+            const firstInput = queryMode ? queryInput : termsBuilder.querySelector('input[type="text"]');
             if (firstInput) firstInput.focus();
           });
         }
@@ -212,40 +546,252 @@ document.addEventListener('DOMContentLoaded', () => {
   
   loadCurrentTab();
 
+  // Active hours default to the browser's timezone
+  const localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  function setScheduleTimeZone(timeZone) {
+    if (![...scheduleTimeZoneSelect.options].some(o => o.value === timeZone)) {
+      scheduleTimeZoneSelect.add(new Option(timeZone, timeZone));
+    }
+    scheduleTimeZoneSelect.value = timeZone;
+  }
+  for (const timeZone of Intl.supportedValuesOf('timeZone')) {
+    scheduleTimeZoneSelect.add(new Option(timeZone, timeZone));
+  }
+  setScheduleTimeZone(localTimeZone);
+
+  for (const [key, profile] of Object.entries(LAUNCH_PROFILES)) {
+    const option = new Option(profile.label, key);
+    option.title = `${profile.leadMin} min lead, then every ${profile.fastS}s for ${profile.holdMin} min after the launch`;
+    launchProfileSelect.add(option);
+  }
+  launchProfileSelect.value = 'standard';
+
+  // datetime-local inputs take local time as YYYY-MM-DDTHH:MM
+  function toLocalInputValue(time) {
+    const d = new Date(time);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  }
+
+  // Fill the form from a saved search config or an existing monitor
+  function applyConfigToForm(config) {
+    populateTerms(config.searchTerms);
+    if (config.interval) intervalInput.value = formatIntervalSpec(config.interval, config.jitter || 0);
+    selectorInput.value = config.selector || '';
+    matchModeSelect.value = config.matchMode || 'present';
+    monitorTypeSelect.value = config.type || 'text';
+    setMatchOptions(config.matchOptions);
+    ignoreRulesInput.value = (config.ignoreRules || []).join('\n');
+    jsonConditionInput.value = config.jsonCondition || '';
+    deepScanBtn.classList.toggle('active', !!config.deepScan);
+    confirmCountSelect.value = String(config.confirmCount || 0);
+    confirmReloadBtn.classList.toggle('active', !!config.confirmBypassCache);
+    setRearm(!!config.rearm);
+    if (config.cooldown !== undefined) cooldownSelect.value = String(config.cooldown);
+    scheduleInput.value = formatActiveSchedule(config.schedule);
+    setScheduleTimeZone(config.schedule ? config.schedule.timeZone : localTimeZone);
+    launchAtInput.value = config.launch ? toLocalInputValue(config.launch.at) : '';
+    if (config.launch) {
+      launchProfileSelect.value = config.launch.profile;
+      launchDecaySelect.value = String(config.launch.decayMin);
+    }
+    setReadiness(config.readiness);
+    setLiveMode(!!config.live);
+    setBackgroundMode(config.kind === 'background');
+    updateMonitorTypeUI();
+  }
+
+  // Extra URLs for a multi-URL monitor, one per line. Returns { urls } or { error }.
+  function getTargetUrls() {
+    const urls = [];
+    for (const line of targetUrlsInput.value.split('\n').map(l => l.trim()).filter(Boolean)) {
+      let url;
+      try {
+        url = new URL(line);
+      } catch (e) {
+        return { error: `Invalid URL: ${line}` };
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return { error: `Only http(s) URLs can be watched: ${line}` };
+      urls.push(url.href);
+    }
+    return { urls: [...new Set(urls)] };
+  }
+
+  // Load a multi-URL monitor into the form; the URL list then holds all of its URLs
+  // and the button updates the whole group instead of adding a monitor
+  function editGroup(groupId) {
+    chrome.runtime.sendMessage({ action: 'getAllMonitors' }, (response) => {
+      const group = Object.values(response.monitors || {}).filter(m => m.groupId === groupId);
+      if (group.length === 0) return;
+      applyConfigToForm(group[0]);
+      targetUrlsInput.value = group.map(m => m.url).join('\n');
+      editingGroupId = groupId;
+      addBtn.textContent = 'Update All URLs';
+      cancelEditBtn.style.display = 'inline-block';
+      savedConfigHint.textContent = `✏️ Editing the monitor on ${group.length} URLs - changes apply to every URL listed`;
+      savedConfigHint.style.display = 'block';
+    });
+  }
+
+  function stopEditingGroup() {
+    editingGroupId = null;
+    targetUrlsInput.value = '';
+    cancelEditBtn.style.display = 'none';
+    savedConfigHint.style.display = 'none';
+    loadCurrentTab();
+  }
+
+  cancelEditBtn.addEventListener('click', stopEditingGroup);
+
   // Start monitoring function
   async function startMonitoring() {
-    const searchTerms = getSearchTerms();
-    if (searchTerms.length === 0) {
+    const type = monitorTypeSelect.value;
+    const searchTerms = type === 'text' ? getSearchTerms() : [];
+    if (type === 'text' && searchTerms.length === 0) {
       alert('Please enter at least one search term!');
       return;
     }
+
+    const jsonCondition = type === 'json' ? jsonConditionInput.value.trim() : '';
+    if (type === 'json') {
+      try {
+        parseJsonCondition(jsonCondition);
+      } catch (e) {
+        alert(`Invalid JSON condition: ${e.message}`);
+        return;
+      }
+    }
+
+    const termsError = findSearchTermsError(searchTerms);
+    if (termsError) {
+      alert(termsError);
+      return;
+    }
+
+    const { rules: ignoreRules, error: ignoreError } = type === 'change' ? getIgnoreRules() : { rules: [] };
+    if (ignoreError) {
+      alert(ignoreError);
+      return;
+    }
+
+    const { readiness, error: readinessError } = getReadiness();
+    if (readinessError) {
+      alert(readinessError);
+      return;
+    }
+
+    const { urls: targetUrls, error: targetUrlsError } = getTargetUrls();
+    if (targetUrlsError) {
+      alert(targetUrlsError);
+      return;
+    }
+
+    const selector = type === 'json' ? '' : selectorInput.value.trim();
+    if (selector) {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+      } catch (e) {
+        alert(`Invalid CSS selector: ${selector}`);
+        return;
+      }
+    }
+    
+    const { schedule, error: scheduleError } = parseActiveSchedule(scheduleInput.value, scheduleTimeZoneSelect.value);
+    if (scheduleError) {
+      alert(`Active hours: ${scheduleError}`);
+      return;
+    }
     
     if (!currentTabId) {
       alert('Could not get current tab!');
       return;
     }
     
-    const interval = parseInt(intervalSelect.value);
-    const displayText = searchTermsToDisplayText(searchTerms);
+    const intervalSpec = parseIntervalSpec(intervalInput.value);
+    if (!intervalSpec || intervalSpec.interval - intervalSpec.jitter < MIN_INTERVAL_S || intervalSpec.interval + intervalSpec.jitter > MAX_INTERVAL_S) {
+      alert('Enter a refresh interval between 3s and 24h, such as 15s, 2m, 1h or a range like 20-40s');
+      return;
+    }
+    const { interval, jitter } = intervalSpec;
+    const matchMode = matchModeSelect.value;
+    const matchOptions = getMatchOptions();
+    const deepScan = deepScanBtn.classList.contains('active');
+    const confirmCount = parseInt(confirmCountSelect.value) || 0;
+    const confirmBypassCache = confirmCount > 0 && confirmReloadBtn.classList.contains('active');
+    const rearm = rearmBtn.classList.contains('active');
+    const cooldown = parseInt(cooldownSelect.value) || 0;
+    const live = type !== 'json' && liveModeBtn.classList.contains('active');
+    // Live monitors don't poll, so they have no launch schedule (its inputs are disabled)
+    let launch = null;
+    if (launchAtInput.value && !live) {
+      launch = normalizeLaunch({
+        at: new Date(launchAtInput.value).getTime(),
+        profile: launchProfileSelect.value,
+        decayMin: parseInt(launchDecaySelect.value) || 0
+      });
+      if (!launch || launchPhase(launch, Date.now()).phase === 'done') {
+        alert('The launch time has already passed - pick a later one or clear it');
+        return;
+      }
+    }
+    const kind = type === 'json' || backgroundModeBtn.classList.contains('active') ? 'background' : 'tab';
+    const displayText = type === 'change'
+      ? (selector ? `Change in ${selector}` : 'Page change')
+      : type === 'json' ? jsonCondition : searchTermsToDisplayText(searchTerms);
+    
+    // The monitor's definition, shared by every URL of a multi-URL monitor
+    const definition = {
+      searchText: displayText,
+      searchTerms: searchTerms,
+      refreshInterval: interval,
+      jitter: jitter,
+      selector: selector,
+      matchMode: matchMode,
+      matchOptions: matchOptions,
+      type: type,
+      ignoreRules: ignoreRules,
+      deepScan: deepScan,
+      readiness: readiness,
+      live: live,
+      kind: kind,
+      jsonCondition: jsonCondition,
+      confirmCount: confirmCount,
+      confirmBypassCache: confirmBypassCache,
+      rearm: rearm,
+      cooldown: cooldown,
+      schedule: schedule,
+      launch: launch
+    };
+
+    if (editingGroupId) {
+      if (targetUrls.length === 0) {
+        alert('List at least one URL to watch!');
+        return;
+      }
+      chrome.runtime.sendMessage({ action: 'updateGroup', groupId: editingGroupId, urls: targetUrls, ...definition }, () => {
+        stopEditingGroup();
+        loadMonitors();
+      });
+      return;
+    }
     
     console.log('Starting monitor for tab:', currentTabId, 'searchTerms:', searchTerms);
     
     // Save config for this URL
-    saveSearchConfig(currentTabUrl, searchTerms, interval);
+    saveSearchConfig(currentTabUrl, { type, searchTerms, interval, jitter, selector, matchMode, matchOptions, ignoreRules, deepScan, readiness, live, kind, jsonCondition, confirmCount, confirmBypassCache, rearm, cooldown, schedule, launch });
     savedConfigHint.style.display = 'none';
     
     // Start monitoring
     chrome.runtime.sendMessage({
       action: 'startMonitoring',
       tabId: currentTabId,
-      searchText: displayText,
-      searchTerms: searchTerms,
-      refreshInterval: interval,
+      ...definition,
+      targetUrls: targetUrls,
       url: currentTabUrl,
       title: currentTabTitle
     }, () => {
-      // Reload the tab to start checking
-      chrome.tabs.reload(currentTabId);
+      // Reload the tab to start checking (background monitors fetch on their own)
+      if (kind !== 'background') chrome.tabs.reload(currentTabId);
       
       // Update UI
       loadCurrentTab();
@@ -253,11 +799,169 @@ document.addEventListener('DOMContentLoaded', () => {
       
       // Reset to single empty term for next entry
       initTermsBuilder();
-      const firstInput = termsBuilder.querySelector('input[type="text"]');
+      selectorInput.value = '';
+      targetUrlsInput.value = '';
+      const firstInput = queryMode ? queryInput : termsBuilder.querySelector('input[type="text"]');
       if (firstInput) firstInput.focus();
     });
   }
 
+  // Match option toggles (case sensitivity, whole word, accent folding)
+  matchOptionButtons.forEach(btn => {
+    btn.addEventListener('click', () => btn.classList.toggle('active'));
+  });
+
+  deepScanBtn.addEventListener('click', () => deepScanBtn.classList.toggle('active'));
+  confirmReloadBtn.addEventListener('click', () => confirmReloadBtn.classList.toggle('active'));
+
+  // The cool-down only applies to monitors that re-arm
+  function setRearm(enabled) {
+    rearmBtn.classList.toggle('active', enabled);
+    cooldownSelect.disabled = !enabled;
+  }
+
+  rearmBtn.addEventListener('click', () => setRearm(!rearmBtn.classList.contains('active')));
+
+  // Live mode re-checks on DOM changes, so the refresh interval doesn't apply
+  function setLiveMode(enabled) {
+    liveModeBtn.classList.toggle('active', enabled);
+    intervalInput.disabled = enabled;
+    launchAtInput.disabled = enabled;
+    launchProfileSelect.disabled = enabled;
+    launchDecaySelect.disabled = enabled;
+    if (enabled) setBackgroundMode(false);
+  }
+
+  function setBackgroundMode(enabled) {
+    backgroundModeBtn.classList.toggle('active', enabled);
+    if (enabled) setLiveMode(false);
+    updateMonitorTypeUI();
+  }
+
+  liveModeBtn.addEventListener('click', () => setLiveMode(!liveModeBtn.classList.contains('active')));
+  backgroundModeBtn.addEventListener('click', () => setBackgroundMode(!backgroundModeBtn.classList.contains('active')));
+
+  function getMatchOptions() {
+    const options = {};
+    matchOptionButtons.forEach(btn => {
+      if (btn.classList.contains('active')) options[btn.dataset.option] = true;
+    });
+    return options;
+  }
+
+  function setMatchOptions(options) {
+    matchOptionButtons.forEach(btn => {
+      btn.classList.toggle('active', !!(options && options[btn.dataset.option]));
+    });
+  }
+
+  // Show the inputs relevant to the chosen monitor type. JSON monitors are always
+  // fetched in the background, and background monitors have no page to wait for or deep scan.
+  function updateMonitorTypeUI() {
+    const type = monitorTypeSelect.value;
+    const isJson = type === 'json';
+    const isBackground = isJson || backgroundModeBtn.classList.contains('active');
+    textOptions.style.display = type === 'text' ? 'block' : 'none';
+    jsonConditionInput.style.display = isJson ? 'block' : 'none';
+    selectorRow.style.display = isJson ? 'none' : 'flex';
+    matchModeRow.style.display = type === 'change' ? 'none' : 'flex';
+    ignoreRulesInput.style.display = type === 'change' ? 'block' : 'none';
+    readinessRow.style.display = isBackground ? 'none' : 'flex';
+    deepScanBtn.style.display = isBackground ? 'none' : 'inline-block';
+    // Background fetches never use the cache, so every re-check already bypasses it
+    confirmReloadBtn.style.display = isBackground ? 'none' : 'inline-block';
+    liveModeBtn.style.display = isJson ? 'none' : 'inline-block';
+    backgroundModeBtn.style.display = isJson ? 'none' : 'inline-block';
+  }
+
+  monitorTypeSelect.addEventListener('change', updateMonitorTypeUI);
+
+  // Readiness: what the value input means for each strategy
+  const READINESS_PLACEHOLDERS = {
+    delay: 'Delay ms (default 1500)',
+    selector: 'Selector to wait for, e.g. .stock-widget',
+    quiet: 'Quiet for ms (default 500)'
+  };
+
+  function updateReadinessUI() {
+    const strategy = readinessStrategySelect.value;
+    readinessValueInput.placeholder = READINESS_PLACEHOLDERS[strategy];
+    readinessTimeoutInput.style.display = strategy === 'delay' ? 'none' : 'block';
+  }
+
+  readinessStrategySelect.addEventListener('change', () => {
+    readinessValueInput.value = '';
+    updateReadinessUI();
+  });
+  submitOnEnter(readinessValueInput);
+
+  function setReadiness(readiness) {
+    const r = readiness || { strategy: 'delay' };
+    readinessStrategySelect.value = r.strategy;
+    readinessValueInput.value = r.strategy === 'selector' ? (r.selector || '')
+      : r.strategy === 'quiet' ? (r.quietMs !== undefined ? r.quietMs : '')
+      : (r.delay !== undefined && r.delay !== 1500 ? r.delay : '');
+    readinessTimeoutInput.value = r.timeout ? r.timeout / 1000 : '';
+    updateReadinessUI();
+  }
+
+  // Read the readiness inputs, returning { readiness } or { error }.
+  // The default fixed delay is stored as null so older monitors behave the same.
+  function getReadiness() {
+    const strategy = readinessStrategySelect.value;
+    const value = readinessValueInput.value.trim();
+
+    if (strategy === 'delay') {
+      if (!value) return { readiness: null };
+      const delay = parseInt(value, 10);
+      if (isNaN(delay) || delay < 0) return { error: 'Enter the delay in milliseconds' };
+      if (delay > MAX_READINESS_MS) return { error: `The delay can be at most ${MAX_READINESS_MS}ms` };
+      return { readiness: { strategy, delay } };
+    }
+
+    const readiness = { strategy };
+    const timeout = parseFloat(readinessTimeoutInput.value);
+    if (!isNaN(timeout) && timeout > 0) readiness.timeout = Math.round(timeout * 1000);
+    if (readiness.timeout > MAX_READINESS_MS) return { error: `The readiness timeout can be at most ${MAX_READINESS_MS / 1000}s` };
+
+    if (strategy === 'selector') {
+      if (!value) return { error: 'Enter the CSS selector to wait for' };
+      try {
+        document.createDocumentFragment().querySelector(value);
+      } catch (e) {
+        return { error: `Invalid CSS selector to wait for: ${value}` };
+      }
+      readiness.selector = value;
+    } else {
+      const quietMs = value ? parseInt(value, 10) : 500;
+      if (isNaN(quietMs) || quietMs < 0) return { error: 'Enter how long the page must be quiet, in milliseconds' };
+      if (quietMs > MAX_READINESS_MS) return { error: `The quiet time can be at most ${MAX_READINESS_MS}ms` };
+      readiness.quietMs = quietMs;
+    }
+    return { readiness };
+  }
+
+  // Parse the ignore rules textarea, returning { rules } or { error }
+  function getIgnoreRules() {
+    const rules = ignoreRulesInput.value.split('\n').map(r => r.trim()).filter(Boolean);
+    const { selectors, patterns } = parseIgnoreRules(rules);
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern, 'gi');
+      } catch (e) {
+        return { error: `Invalid ignore pattern /${pattern}/: ${e.message}` };
+      }
+    }
+    for (const selector of selectors) {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+      } catch (e) {
+        return { error: `Invalid ignore selector: ${selector}` };
+      }
+    }
+    return { rules };
+  }
+
   // Add current tab to monitoring on button click
   addBtn.addEventListener('click', startMonitoring);
 
@@ -294,9 +998,9 @@ document.addEventListener('DOMContentLoaded', () => {
       stopAllBtn.style.display = 'block';
       saveConfigBtn.style.display = 'inline-block';
       
-      monitorsList.innerHTML = buildMonitorGroupsHtml(monitors, 45);
+      monitorsList.innerHTML = buildMonitorGroupsHtml(monitors, 45, true);
       const onUpdate = () => { loadCurrentTab(); loadMonitors(); loadHistory(); };
-      attachMonitorListeners(monitorsList, onUpdate);
+      attachMonitorListeners(monitorsList, onUpdate, editGroup);
     });
   }
 
@@ -0,0 +1,222 @@
+// schedule.js - Active-hours, readiness and launch timing for monitors (shared by the popup
+// for parsing, the background service worker for parking monitors, content.js and the cards)
+//
+// Text form, entries separated by ';' or new lines:
+//   Mon-Fri 09:00-12:00            Sat,Sun 10-14            Weekdays 9:30-11 14-17
+//   Daily 22:00-02:00 (overnight)  08:00-20:00 (no days = every day)
+// Stored form: { timeZone, windows: [{ days: [0-6, 0 = Sunday], start, end }] } with
+// start/end in minutes from midnight; an end at or before the start runs past midnight
+// (so 00:00-24:00, stored as 0-0, is the whole day).
+
+const SCHEDULE_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Day list such as "Mon-Fri", "Sat,Sun", "Fri-Mon", "Weekdays" or "Daily"; null if unreadable
+function parseScheduleDays(token) {
+  const t = token.toLowerCase();
+  if (['daily', 'everyday', 'all'].includes(t)) return [0, 1, 2, 3, 4, 5, 6];
+  if (t === 'weekdays') return [1, 2, 3, 4, 5];
+  if (t === 'weekends') return [0, 6];
+  const dayIndex = name => /^[a-z]{3,}$/.test(name) ? SCHEDULE_DAYS.findIndex(d => name.startsWith(d.toLowerCase())) : -1;
+  const days = new Set();
+  for (const part of t.split(',')) {
+    const [from, to] = part.split('-').map(dayIndex);
+    if (from < 0 || to < 0) return null;
+    if (to === undefined) {
+      days.add(from);
+      continue;
+    }
+    // Ranges may wrap around the week ("Fri-Mon")
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === to) break;
+    }
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+// "9", "09:30" or "24:00" as minutes from midnight; null if unreadable
+function parseScheduleTime(text) {
+  const m = text.match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  const minutes = parseInt(m[1], 10) * 60 + (m[2] ? parseInt(m[2], 10) : 0);
+  return m[2] && parseInt(m[2], 10) > 59 || minutes > 1440 ? null : minutes;
+}
+
+// Returns { schedule } (null for empty text, meaning always active) or { error }
+function parseActiveSchedule(text, timeZone) {
+  const windows = [];
+  for (const entry of String(text).split(/[;\n]/).map(e => e.trim()).filter(Boolean)) {
+    const tokens = entry.split(/[\s,]+(?=\d)|\s+/).filter(Boolean);
+    // The day list is optional and comes first
+    let days = [0, 1, 2, 3, 4, 5, 6];
+    if (!/^\d/.test(tokens[0])) {
+      days = parseScheduleDays(tokens.shift());
+      if (!days) return { error: `Unknown days in "${entry}" - use e.g. Mon-Fri, Sat,Sun or Weekdays` };
+    }
+    if (tokens.length === 0) return { error: `No hours in "${entry}" - add a range such as 09:00-12:00` };
+    for (const range of tokens) {
+      const [start, end] = range.split('-').map(parseScheduleTime);
+      if (start === null || end === null || end === undefined || start === end || start >= 1440) {
+        return { error: `Invalid hours "${range}" in "${entry}" - use a range such as 09:00-12:00` };
+      }
+      windows.push({ days, start, end: end % 1440 });
+    }
+  }
+  if (windows.length === 0) return { schedule: null };
+  return { schedule: { timeZone: timeZone || 'UTC', windows } };
+}
+
+// A stored schedule with bad parts dropped, or null when nothing usable is left
+function normalizeSchedule(schedule) {
+  if (!schedule || !Array.isArray(schedule.windows)) return null;
+  const isMinute = m => Number.isInteger(m) && m >= 0 && m < 1440;
+  const windows = schedule.windows.filter(w => w && Array.isArray(w.days) && w.days.length > 0 &&
+    w.days.every(d => Number.isInteger(d) && d >= 0 && d < 7) && isMinute(w.start) && isMinute(w.end));
+  if (windows.length === 0) return null;
+  let timeZone = schedule.timeZone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (e) {
+    timeZone = 'UTC';
+  }
+  return { timeZone, windows };
+}
+
+function formatScheduleTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Days as "Daily", "Mon-Fri" or "Mon,Wed-Fri"
+function formatScheduleDays(days) {
+  if (days.length === 7) return 'Daily';
+  const runs = [];
+  for (const d of days) {
+    const last = runs[runs.length - 1];
+    if (last && last[1] === d - 1) last[1] = d;
+    else runs.push([d, d]);
+  }
+  return runs.map(([from, to]) => from === to ? SCHEDULE_DAYS[from] : `${SCHEDULE_DAYS[from]}-${SCHEDULE_DAYS[to]}`).join(',');
+}
+
+// The text form parseActiveSchedule reads, e.g. "Mon-Fri 09:00-12:00; Sat 10:00-14:00"
+function formatActiveSchedule(schedule) {
+  if (!schedule) return '';
+  return schedule.windows
+    .map(w => `${formatScheduleDays(w.days)} ${formatScheduleTime(w.start)}-${w.end === 0 ? '24:00' : formatScheduleTime(w.end)}`)
+    .join('; ');
+}
+
+// Local weekday (0 = Sunday), minute of day and weekday name of a time in a timezone
+function zonedDayMinute(time, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date(time));
+  const get = type => parts.find(p => p.type === type).value;
+  const hour = parseInt(get('hour'), 10) % 24;
+  return { day: SCHEDULE_DAYS.indexOf(get('weekday')), minute: hour * 60 + parseInt(get('minute'), 10), weekday: get('weekday') };
+}
+
+// True when time falls inside one of the schedule's windows (no schedule: always)
+function isScheduleActive(schedule, time) {
+  if (!schedule) return true;
+  const { day, minute } = zonedDayMinute(time, schedule.timeZone);
+  const yesterday = (day + 6) % 7;
+  return schedule.windows.some(w => w.start < w.end
+    ? w.days.includes(day) && minute >= w.start && minute < w.end
+    // Overnight windows belong to the day they start on
+    : (w.days.includes(day) && minute >= w.start) || (w.days.includes(yesterday) && minute < w.end));
+}
+
+// The next time at or after time when a window opens, or null without windows
+function nextScheduleStart(schedule, time) {
+  if (!schedule || schedule.windows.length === 0) return null;
+  const base = time - time % 60000;
+  const now = zonedDayMinute(base, schedule.timeZone);
+  let next = null;
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = (now.day + offset) % 7;
+    for (const w of schedule.windows) {
+      if (!w.days.includes(day)) continue;
+      const minutesAhead = offset * 1440 + w.start - now.minute;
+      if (minutesAhead < 0) continue;
+      let at = base + minutesAhead * 60000;
+      // Step across a daylight-saving change between now and then
+      const drift = zonedDayMinute(at, schedule.timeZone).minute - w.start;
+      if (drift !== 0) at -= (((drift + 720) % 1440 + 1440) % 1440 - 720) * 60000;
+      if (at >= time && (next === null || at < next)) next = at;
+    }
+  }
+  return next;
+}
+
+// A wake-up time as "Mon 09:00" in the schedule's timezone
+function formatScheduleWake(time, timeZone) {
+  const { weekday, minute } = zonedDayMinute(time, timeZone || 'UTC');
+  return `${weekday} ${formatScheduleTime(minute)}`;
+}
+
+// --- Readiness ---
+// How long a tab waits after loading before it is checked (content.js waitForReady). The
+// service worker's stuck check allows for this wait on top of the page load.
+
+const DEFAULT_READINESS = { strategy: 'delay', delay: 1500, quietMs: 500, timeout: 10000 };
+const MAX_READINESS_MS = 25000;
+
+// The longest a readiness strategy (null for the default) can hold a check back
+function readinessWaitMs(readiness) {
+  const r = { ...DEFAULT_READINESS, ...(readiness || {}) };
+  return r.strategy === 'delay' ? r.delay : r.timeout;
+}
+
+// --- Launch schedules ---
+// For a known drop time: poll at the monitor's own interval until the profile's lead time
+// before the launch, then ramp down toward its fastest interval, hold that for the
+// profile's hold time after the launch, and relax back to the normal interval over decayMin minutes.
+// Stored form: { at (timestamp), profile (LAUNCH_PROFILES key), decayMin }.
+
+const LAUNCH_PROFILES = {
+  gentle: { label: 'Gentle', leadMin: 15, fastS: 10, holdMin: 5 },
+  standard: { label: 'Standard', leadMin: 5, fastS: 5, holdMin: 10 },
+  aggressive: { label: 'Aggressive', leadMin: 2, fastS: 3, holdMin: 15 }
+};
+
+// A stored launch schedule, or null when it isn't usable
+function normalizeLaunch(launch) {
+  if (!launch || !Number.isFinite(launch.at) || !LAUNCH_PROFILES[launch.profile]) return null;
+  return { at: launch.at, profile: launch.profile, decayMin: Math.max(parseInt(launch.decayMin) || 0, 0) };
+}
+
+// Phase boundaries of a launch as timestamps
+function launchTimes(launch) {
+  const profile = LAUNCH_PROFILES[launch.profile];
+  const holdEnd = launch.at + profile.holdMin * 60000;
+  return { rampStart: launch.at - profile.leadMin * 60000, holdEnd, decayEnd: holdEnd + launch.decayMin * 60000 };
+}
+
+// 'idle', 'ramp', 'launch', 'decay' or 'done', with the time the phase ends (null when done)
+function launchPhase(launch, time) {
+  const { rampStart, holdEnd, decayEnd } = launchTimes(launch);
+  if (time < rampStart) return { phase: 'idle', until: rampStart };
+  if (time < launch.at) return { phase: 'ramp', until: launch.at };
+  if (time < holdEnd) return { phase: 'launch', until: holdEnd };
+  if (time < decayEnd) return { phase: 'decay', until: decayEnd };
+  return { phase: 'done', until: null };
+}
+
+// Seconds until the next check for a monitor whose normal interval is baseS, or null
+// once the launch is over. Checks never skip past the start of the ramp or the launch itself.
+function launchIntervalS(launch, baseS, time) {
+  const profile = LAUNCH_PROFILES[launch.profile];
+  const fastS = Math.min(profile.fastS, baseS);
+  const { phase, until } = launchPhase(launch, time);
+  const untilS = Math.max(1, Math.ceil((until - time) / 1000));
+  if (phase === 'idle') return Math.min(baseS, untilS);
+  // Ramping up, each check waits a quarter of the time left, so checks tighten toward the launch
+  if (phase === 'ramp') return Math.min(Math.max(fastS, Math.round(untilS / 4)), baseS, untilS);
+  if (phase === 'launch') return fastS;
+  if (phase === 'decay') {
+    const progress = 1 - (until - time) / (launch.decayMin * 60000);
+    return Math.max(fastS, Math.round(fastS + (baseS - fastS) * progress));
+  }
+  return null;
+}
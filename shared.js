@@ -9,58 +9,274 @@ function truncateUrl(url, maxLen) {
   return u.length > maxLen ? u.substring(0, maxLen) + '...' : u;
 }
 
-function buildMonitorGroupsHtml(monitors, urlMaxLen) {
+// Seconds as "45s", "5 min" or "1h"
+function formatDuration(seconds) {
+  if (seconds >= 3600 && seconds % 3600 === 0) return `${seconds / 3600}h`;
+  if (seconds >= 60 && seconds % 60 === 0) return `${seconds / 60} min`;
+  return `${seconds}s`;
+}
+
+// Refresh intervals are 3s to a day
+const MIN_INTERVAL_S = 3;
+const MAX_INTERVAL_S = 86400;
+
+function intervalUnitSeconds(unit) {
+  if (/^(s|secs?|seconds?)$/.test(unit)) return 1;
+  if (/^(m|mins?|minutes?)$/.test(unit)) return 60;
+  if (/^(h|hrs?|hours?)$/.test(unit)) return 3600;
+  return null;
+}
+
+// Read an interval such as "15", "15s", "2m", "1h" or a random range such as "20-40s".
+// Returns { interval, jitter } in seconds (a range's midpoint ± half its width, so "20-41s"
+// is 30.5 ± 10.5), or null if unreadable.
+function parseIntervalSpec(text) {
+  const parts = String(text).trim().toLowerCase().split(/\s*[-–]\s*/);
+  if (parts.length > 2) return null;
+  // A unit on the upper bound applies to both ("20-40s")
+  const sharedUnit = parts[parts.length - 1].replace(/^[\d.\s]+/, '');
+  const values = parts.map(part => {
+    const m = part.match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/);
+    const scale = m ? intervalUnitSeconds(m[2] || sharedUnit || 's') : null;
+    // Rounded to the millisecond so 0.1m is exactly 6s
+    return scale ? Math.round(parseFloat(m[1]) * scale * 1000) / 1000 : NaN;
+  });
+  if (values.some(v => !Number.isFinite(v))) return null;
+  if (values.length === 1) return { interval: Math.round(values[0]), jitter: 0 };
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  return { interval: (low + high) / 2, jitter: (high - low) / 2 };
+}
+
+// An interval in the form parseIntervalSpec reads: "15s", "2m", "1h" or "20-40s"
+function formatIntervalSpec(interval, jitter = 0) {
+  const low = Math.round((interval - jitter) * 1000) / 1000;
+  const high = Math.round((interval + jitter) * 1000) / 1000;
+  const [suffix, scale] = [['h', 3600], ['m', 60]].find(([, u]) => low >= u && low % u === 0 && high % u === 0) || ['s', 1];
+  return jitter > 0 ? `${low / scale}-${high / scale}${suffix}` : `${interval / scale}${suffix}`;
+}
+
+// Countdown seconds as "45s", "12m 05s" or "1h 59m"
+function formatCountdown(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+  return `${Math.floor(seconds / 3600)}h ${String(Math.floor(seconds % 3600 / 60)).padStart(2, '0')}m`;
+}
+
+// Before/after lines for a change monitor's diff ({ context, before, after })
+function buildDiffHtml(diff) {
+  if (!diff) return '';
+  return `
+    <div class="diff-block">
+      ${diff.context ? `<div class="diff-context">…${escapeHtml(diff.context)}</div>` : ''}
+      <div class="diff-before">− ${escapeHtml(diff.before || '(nothing)')}</div>
+      <div class="diff-after">+ ${escapeHtml(diff.after || '(nothing)')}</div>
+    </div>`;
+}
+
+// Page context captured when a monitor fired ({ pageTitle, snippet, match, selectorPath })
+function buildContextHtml(context) {
+  if (!context) return '';
+  let snippetHtml = '';
+  if (context.snippet) {
+    const index = context.match ? context.snippet.toLowerCase().indexOf(context.match.toLowerCase()) : -1;
+    snippetHtml = index < 0 ? escapeHtml(context.snippet)
+      : escapeHtml(context.snippet.slice(0, index)) +
+        `<mark>${escapeHtml(context.snippet.slice(index, index + context.match.length))}</mark>` +
+        escapeHtml(context.snippet.slice(index + context.match.length));
+  }
+  const meta = [];
+  if (context.pageTitle) meta.push(`📄 ${escapeHtml(context.pageTitle)}`);
+  if (context.selectorPath) meta.push(`🎯 ${escapeHtml(context.selectorPath)}`);
+  return `
+    <div class="match-context">
+      ${snippetHtml ? `<div class="match-snippet">${snippetHtml}</div>` : ''}
+      ${meta.length > 0 ? `<div class="match-meta">${meta.join(' · ')}</div>` : ''}
+    </div>`;
+}
+
+// The part of a JSON response that satisfied the monitor's condition
+function buildJsonFragmentHtml(fragment) {
+  if (!fragment) return '';
+  return `<pre class="json-fragment">${escapeHtml(fragment)}</pre>`;
+}
+
+// Fires of a re-arming monitor (newest first): the latest few inline, all of them in the tooltip
+function buildFireLogHtml(fires) {
+  if (!fires || fires.length === 0) return '';
+  const describe = f => [new Date(f.at).toLocaleString(), f.value, f.snippet && f.snippet.substring(0, 60)]
+    .filter(part => part !== undefined && part !== null && part !== '').join(' · ');
+  const recent = fires.slice(0, 3).map(f => `<div>📅 ${escapeHtml(describe(f))}</div>`).join('');
+  const earlier = fires.length > 3 ? `<div>… and ${fires.length - 3} earlier</div>` : '';
+  return `<div class="monitor-selector" title="${escapeHtml(fires.map(describe).join('\n'))}">♻️ Fired ${fires.length}×${recent}${earlier}</div>`;
+}
+
+// Small tags for the monitor's non-default options (matching, deep scan, readiness)
+function buildMonitorOptionsHtml(monitor) {
+  const options = monitor.matchOptions || {};
+  const readiness = monitor.readiness;
+  const tags = [];
+  if (options.caseSensitive) tags.push('Aa case-sensitive');
+  if (options.wholeWord) tags.push('whole word');
+  if (options.foldAccents) tags.push('é=e accents ignored');
+  if (monitor.deepScan) tags.push('🧩 shadow DOM + iframes');
+  if (readiness && readiness.strategy === 'selector') tags.push(`⏳ waits for ${readiness.selector}`);
+  if (readiness && readiness.strategy === 'quiet') tags.push(`⏳ waits for ${readiness.quietMs}ms DOM quiet`);
+  if (readiness && readiness.strategy === 'delay' && readiness.delay !== 1500) tags.push(`⏲️ ${readiness.delay}ms delay`);
+  if (monitor.schedule) tags.push(`🗓️ ${formatActiveSchedule(monitor.schedule)} (${monitor.schedule.timeZone})`);
+  if (monitor.launch) tags.push(`🚀 ${LAUNCH_PROFILES[monitor.launch.profile].label} launch ${new Date(monitor.launch.at).toLocaleString()}${monitor.launch.decayMin > 0 ? `, ${monitor.launch.decayMin} min decay` : ''}`);
+  if (monitor.jitter > 0) tags.push(`🎲 every ${formatIntervalSpec(monitor.interval, monitor.jitter)}`);
+  if (monitor.rearm) tags.push(`♻️ re-arms${monitor.cooldown > 0 ? ` after ${formatDuration(monitor.cooldown)} cool-down` : ''}`);
+  if (monitor.confirmCount > 0) tags.push(`🔁 confirms ${monitor.confirmCount}×${monitor.confirmBypassCache ? ' (no cache)' : ''}`);
+  if (tags.length === 0) return '';
+  return `<div class="monitor-options">${tags.map(t => `<span class="monitor-option-tag">${escapeHtml(t)}</span>`).join('')}</div>`;
+}
+
+// Occurrence counts seen when a monitor fired ([{ term, count }])
+function buildCountsHtml(counts, className) {
+  if (!counts || counts.length === 0) return '';
+  return `<div class="${className}">🔢 ${counts.map(c => `"${escapeHtml(c.term)}" × ${c.count}`).join(' · ')}</div>`;
+}
+
+// Site icon for a URL (a globe if it can't be parsed)
+function buildFaviconHtml(url) {
+  try {
+    const hostname = new URL(url).hostname;
+    return `<img src="https://www.google.com/s2/favicons?domain=${hostname}&sz=16" width="16" height="16" style="vertical-align:middle;margin-right:6px;border-radius:2px;">`;
+  } catch (e) {
+    return '🌐 ';
+  }
+}
+
+// Where a monitor's launch schedule stands: idle until the ramp, ramping up, in the
+// launch window, relaxing back, or over (phases from schedule.js)
+function buildLaunchBadgeHtml(launch) {
+  const { phase, until } = launchPhase(launch, Date.now());
+  const profile = LAUNCH_PROFILES[launch.profile];
+  const at = new Date(launch.at).toLocaleString();
+  const left = until ? formatCountdown(Math.max(0, Math.ceil((until - Date.now()) / 1000))) : '';
+  const labels = {
+    idle: [`🚀 Ramp in ${left}`, `Polling at the normal interval until ${profile.leadMin} min before the launch at ${at}`],
+    ramp: [`🚀 T-${left}`, `Ramping up toward every ${profile.fastS}s for the launch at ${at}`],
+    launch: ['🚀 Launch window', `Checking every ${profile.fastS}s for ${left} more`],
+    decay: ['🚀 Relaxing', `Easing back to the normal interval over the next ${left}`],
+    done: ['🚀 Launch over', `Back to the normal interval since the launch at ${at}`]
+  };
+  const [text, title] = labels[phase];
+  return `<span class="monitor-status change-badge" title="${escapeHtml(title)}">${text}</span>`;
+}
+
+// One monitor's card. Inside a multi-URL group the heading is the URL, and the
+// shared definition (options, selector) is shown once in the group header instead.
+function buildMonitorCardHtml(monitor, urlMaxLen, inGroup = false) {
+  const heading = inGroup
+    ? `<span title="${escapeHtml(monitor.url || '')}">${buildFaviconHtml(monitor.url)}${escapeHtml(truncateUrl(monitor.url, urlMaxLen))}</span>`
+    : `"${escapeHtml(monitor.searchText)}"`;
+  const isFound = monitor.found;
+  const isIncognito = monitor.isIncognito;
+  const isBackground = monitor.kind === 'background';
+  const hasTab = monitor.tabId !== null && monitor.tabId !== undefined;
+  const regionMissing = !isFound && monitor.selector && monitor.regionMissing;
+  // How late recent scheduled checks ran, newest first (recorded by background.js)
+  const lateS = (monitor.lateness || []).map(l => Math.round(l.lateMs / 1000));
+  const isChange = monitor.type === 'change';
+  const isAbsent = !isChange && monitor.matchMode === 'absent';
+  const foundLabel = isChange ? 'CHANGED!' : isAbsent ? 'GONE!' : 'FOUND!';
+
+  let countdown = '';
+  if (isFound && monitor.foundAt) {
+    countdown = `📅 ${new Date(monitor.foundAt).toLocaleString()}`;
+  } else if (!isFound && monitor.sleepingUntil > Date.now()) {
+    countdown = `💤 Sleeping until ${formatScheduleWake(monitor.sleepingUntil, monitor.schedule.timeZone)}`;
+  } else if (!isFound && monitor.live) {
+    countdown = '📡 Live';
+  } else if (!isFound && monitor.nextRefreshTime) {
+    const rem = Math.max(0, Math.ceil((monitor.nextRefreshTime - Date.now()) / 1000));
+    countdown = rem > 0 ? `⏱️ ${formatCountdown(rem)}` : '🔄 Refreshing...';
+  }
+
+  return `
+    <div class="monitor-card${isFound ? ' found' : ''}${isIncognito ? ' incognito' : ''}">
+      <div class="monitor-header">
+        <span class="monitor-search-text">${heading}</span>
+        <div class="monitor-badges">
+          ${isChange && !isFound ? `<span class="monitor-status change-badge" title="Alerts when the page text differs from the baseline">${monitor.fingerprint ? '📸 Watching' : '📸 Baseline pending'}</span>` : ''}
+          ${isAbsent && !isFound ? '<span class="monitor-status absent-badge" title="Alerts when this text disappears from the page">🚫 When gone</span>' : ''}
+          ${isBackground ? '<span class="monitor-status change-badge" title="Fetched without a tab; a tab opens when it fires">☁️ Background</span>' : ''}
+          ${!isFound && monitor.launch ? buildLaunchBadgeHtml(monitor.launch) : ''}
+          ${!isFound && monitor.confirmingSince ? '<span class="monitor-status change-badge" title="Re-checking the match before alerting">🔁 Confirming…</span>' : ''}
+          ${!isFound && monitor.cooldownUntil > Date.now() ? `<span class="monitor-status change-badge" title="New matches won't alert until the cool-down ends">🔕 Until ${new Date(monitor.cooldownUntil).toLocaleTimeString()}</span>` : ''}
+          ${!isFound && monitor.backoffLevel > 0 ? `<span class="monitor-status region-missing-badge" title="Retrying more slowly after ${monitor.backoffLevel} error(s) in a row; resets after a healthy load${monitor.retryAt > Date.now() ? '. The site asked to wait until ' + new Date(monitor.retryAt).toLocaleTimeString() + ' (Retry-After)' : ''}">⏳ Backoff #${monitor.backoffLevel}${monitor.httpStatus ? ' · HTTP ' + monitor.httpStatus : ''}</span>` : ''}
+          ${!isFound && lateS[0] >= 5 ? `<span class="monitor-status region-missing-badge" title="The last check ran ${lateS[0]}s after it was due (worst of the last ${lateS.length}: ${Math.max(...lateS)}s)">⏰ ${lateS[0]}s late</span>` : ''}
+          ${!isFound && monitor.lastError ? `<span class="monitor-status region-missing-badge" title="${escapeHtml(monitor.lastError)}">⚠️ Check failed</span>` : ''}
+          ${regionMissing ? '<span class="monitor-status region-missing-badge" title="The CSS selector matched nothing on the last check">⚠️ Region missing</span>' : ''}
+          ${isIncognito ? '<span class="monitor-status inprivate-badge">🕵️ InPrivate</span>' : ''}
+          ${isFound ? `<span class="monitor-status found">🦴 ${foundLabel}</span>` : ''}
+        </div>
+      </div>
+      ${inGroup ? '' : buildMonitorOptionsHtml(monitor)}
+      ${monitor.selector && !inGroup ? `<div class="monitor-selector" title="Only text inside this element is searched">🎯 ${escapeHtml(monitor.selector)}</div>` : ''}
+      ${isFound && monitor.matchSource ? `<div class="monitor-selector" title="Where the match was found">🧩 In ${escapeHtml(monitor.matchSource)}</div>` : ''}
+      ${isFound ? buildContextHtml(monitor.context) : ''}
+      ${isFound ? buildJsonFragmentHtml(monitor.jsonFragment) : ''}
+      ${isFound ? buildDiffHtml(monitor.diff) : ''}
+      ${isFound ? buildCountsHtml(monitor.matchCounts, 'monitor-selector') : ''}
+      ${buildFireLogHtml(monitor.fires)}
+      <div class="monitor-footer">
+        <span class="monitor-countdown">${countdown}${monitor.lastValue !== undefined && monitor.lastValue !== null ? `<span class="monitor-value" title="Last value seen${monitor.lastValueAt ? ' at ' + new Date(monitor.lastValueAt).toLocaleTimeString() : ''}">${monitor.type === 'json' ? '🧾' : '💲'} ${escapeHtml(monitor.lastValue.toLocaleString())}</span>` : ''}</span>
+        <div class="monitor-actions">
+          ${!isFound && !isIncognito && !isBackground ? `<button class="monitor-btn inprivate" data-monitor-id="${monitor.id}">🕵️ InPrivate</button>` : ''}
+          ${hasTab ? `<button class="monitor-btn focus tab-focus-btn" data-tab-id="${monitor.tabId}">Focus</button>` : ''}
+          <button class="monitor-btn stop" data-monitor-id="${monitor.id}" data-found="${isFound}" ${isFound && monitor.rearm ? 'title="Silence this alert and keep watching"' : ''}>${isFound ? 'Dismiss' : 'Stop'}</button>
+          ${isFound && monitor.rearm ? `<button class="monitor-btn stop" data-monitor-id="${monitor.id}" data-found="false">Stop</button>` : ''}
+        </div>
+      </div>
+    </div>`;
+}
+
+// A multi-URL monitor: one definition, one card per URL with its own status
+function buildTargetGroupHtml(groupMonitors, urlMaxLen, editable) {
+  const first = groupMonitors[0];
+  const foundCount = groupMonitors.filter(m => m.found).length;
+  const summary = `${groupMonitors.length} URLs${foundCount > 0 ? ` · ${foundCount} found` : ''}`;
+  let html = `
+    <div class="tab-group target-group">
+      <div class="tab-header target-group-header">
+        <span>🔗 "${escapeHtml(first.searchText)}" · ${summary}</span>
+        <span class="target-group-actions">
+          ${editable ? `<button class="monitor-btn focus group-edit-btn" data-group-id="${first.groupId}">✏️ Edit</button>` : ''}
+          <button class="monitor-btn stop group-stop-btn" data-group-id="${first.groupId}">Stop all</button>
+        </span>
+      </div>
+      ${buildMonitorOptionsHtml(first)}
+      ${first.selector ? `<div class="monitor-selector" title="Only text inside this element is searched">🎯 ${escapeHtml(first.selector)}</div>` : ''}`;
+  for (const monitor of groupMonitors) html += buildMonitorCardHtml(monitor, urlMaxLen, true);
+  return html + `</div>`;
+}
+
+// editable: show an Edit button on multi-URL groups (the popup's form edits them)
+function buildMonitorGroupsHtml(monitors, urlMaxLen, editable = false) {
+  // Multi-URL monitors group by their groupId. Others group by tab; background
+  // monitors have no tab until they fire, so they group by URL
+  const byGroup = {};
   const byTab = {};
   for (const [id, monitor] of Object.entries(monitors)) {
-    const tabId = monitor.tabId;
-    if (!byTab[tabId]) byTab[tabId] = [];
-    byTab[tabId].push({ id, ...monitor });
+    const key = monitor.groupId ? monitor.groupId
+      : monitor.tabId !== null && monitor.tabId !== undefined ? monitor.tabId : 'bg:' + monitor.url;
+    const target = monitor.groupId ? byGroup : byTab;
+    if (!target[key]) target[key] = [];
+    target[key].push({ id, ...monitor });
   }
 
   let html = '';
+  for (const groupMonitors of Object.values(byGroup)) {
+    html += buildTargetGroupHtml(groupMonitors, urlMaxLen, editable);
+  }
   for (const tabMonitors of Object.values(byTab)) {
     const first = tabMonitors[0];
     const displayUrl = truncateUrl(first.url, urlMaxLen);
-    let faviconImg = '🌐 ';
-    try {
-      const hostname = new URL(first.url).hostname;
-      faviconImg = `<img src="https://www.google.com/s2/favicons?domain=${hostname}&sz=16" width="16" height="16" style="vertical-align:middle;margin-right:6px;border-radius:2px;">`;
-    } catch (e) {}
-
-    html += `<div class="tab-group"><div class="tab-header" title="${escapeHtml(first.url || '')}">${faviconImg}${escapeHtml(displayUrl)}</div>`;
-
-    for (const monitor of tabMonitors) {
-      const isFound = monitor.found;
-      const isIncognito = monitor.isIncognito;
-
-      let countdown = '';
-      if (isFound && monitor.foundAt) {
-        countdown = `📅 ${new Date(monitor.foundAt).toLocaleString()}`;
-      } else if (!isFound && monitor.nextRefreshTime) {
-        const rem = Math.max(0, Math.ceil((monitor.nextRefreshTime - Date.now()) / 1000));
-        countdown = rem > 0 ? `⏱️ ${rem}s` : '🔄 Refreshing...';
-      }
-
-      html += `
-        <div class="monitor-card${isFound ? ' found' : ''}${isIncognito ? ' incognito' : ''}">
-          <div class="monitor-header">
-            <span class="monitor-search-text">"${escapeHtml(monitor.searchText)}"</span>
-            <div class="monitor-badges">
-              ${isIncognito ? '<span class="monitor-status inprivate-badge">🕵️ InPrivate</span>' : ''}
-              ${isFound ? '<span class="monitor-status found">🦴 FOUND!</span>' : ''}
-            </div>
-          </div>
-          <div class="monitor-footer">
-            <span class="monitor-countdown">${countdown}</span>
-            <div class="monitor-actions">
-              ${!isFound && !isIncognito ? `<button class="monitor-btn inprivate" data-monitor-id="${monitor.id}">🕵️ InPrivate</button>` : ''}
-              <button class="monitor-btn focus tab-focus-btn" data-tab-id="${monitor.tabId}">Focus</button>
-              <button class="monitor-btn stop" data-monitor-id="${monitor.id}" data-found="${isFound}">${isFound ? 'Dismiss' : 'Stop'}</button>
-            </div>
-          </div>
-        </div>`;
-    }
-
+    html += `<div class="tab-group"><div class="tab-header" title="${escapeHtml(first.url || '')}">${buildFaviconHtml(first.url)}${escapeHtml(displayUrl)}</div>`;
+    for (const monitor of tabMonitors) html += buildMonitorCardHtml(monitor, urlMaxLen);
     html += `</div>`;
   }
   return html;
@@ -71,16 +287,48 @@ function buildHistoryHtml(history, urlMaxLen) {
   for (const item of history) {
     const foundDate = item.foundAt ? new Date(item.foundAt).toLocaleString() : 'Unknown';
     const displayUrl = truncateUrl(item.url, urlMaxLen);
+    const isChange = item.type === 'change';
+    const isAbsent = !isChange && item.matchMode === 'absent';
     html += `
       <div class="history-card">
-        <div class="history-header"><span class="history-search-text">"${escapeHtml(item.searchText)}"</span></div>
-        <div class="history-time">📅 Found: ${foundDate}</div>
+        <div class="history-header"><span class="history-search-text">${isAbsent ? '🚫 Gone: ' : ''}"${escapeHtml(item.searchText)}"</span></div>
+        <div class="history-time">📅 ${isChange ? 'Changed' : isAbsent ? 'Disappeared' : 'Found'}: ${foundDate}</div>
+        ${item.matchSource ? `<div class="history-time">🧩 In ${escapeHtml(item.matchSource)}</div>` : ''}
+        ${buildCountsHtml(item.matchCounts, 'history-time')}
+        ${buildContextHtml(item.context)}
+        ${buildJsonFragmentHtml(item.jsonFragment)}
+        ${buildDiffHtml(item.diff)}
         <div class="history-time" title="${escapeHtml(item.url || '')}">${escapeHtml(displayUrl)}</div>
       </div>`;
   }
   return html;
 }
 
+// Per-host request budgets for the dashboard ({ host, monitors, used, queued, nextSlotAt })
+function buildHostBudgetsHtml(hosts, settings) {
+  if (hosts.length === 0) return '<div class="no-monitors">No hosts are being checked.</div>';
+  const limit = settings.maxPerMinute > 0 ? settings.maxPerMinute : null;
+  let html = '';
+  for (const h of hosts.slice().sort((a, b) => b.used - a.used)) {
+    const pct = limit ? Math.min(100, Math.round(h.used / limit * 100)) : 0;
+    const wait = Math.max(0, Math.ceil((h.nextSlotAt - Date.now()) / 1000));
+    let detail = `${h.monitors} monitor${h.monitors !== 1 ? 's' : ''}`;
+    if (h.queued > 0) detail += ` · ${h.queued} queued`;
+    detail += wait > 0 ? ` · next slot in ${wait}s` : ' · slot free now';
+
+    html += `
+      <div class="host-budget">
+        <div class="host-budget-header">
+          <span>${buildFaviconHtml('https://' + h.host)}${escapeHtml(h.host)}</span>
+          <span class="host-budget-count" title="Requests in the last minute">${h.used}${limit ? ' / ' + limit : ''} per min</span>
+        </div>
+        ${limit ? `<div class="host-budget-bar"><div class="host-budget-fill${pct >= 100 ? ' full' : ''}" style="width:${pct}%"></div></div>` : ''}
+        <div class="host-budget-detail">${escapeHtml(detail)}</div>
+      </div>`;
+  }
+  return html;
+}
+
 function buildConfigsHtml(configs) {
   let html = '';
   for (const config of configs.slice().reverse()) {
@@ -106,14 +354,27 @@ function buildConfigsHtml(configs) {
   return html;
 }
 
-function attachMonitorListeners(container, onUpdate) {
-  container.querySelectorAll('.monitor-btn.stop').forEach(btn => {
+// onEditGroup(groupId) is called by the Edit button on multi-URL groups (popup only)
+function attachMonitorListeners(container, onUpdate, onEditGroup) {
+  container.querySelectorAll('.monitor-btn.stop[data-monitor-id]').forEach(btn => {
     btn.addEventListener('click', () => {
       const isFound = btn.dataset.found === 'true';
       chrome.runtime.sendMessage({ action: isFound ? 'stopAlarm' : 'stopMonitoring', monitorId: btn.dataset.monitorId }, onUpdate);
     });
   });
 
+  container.querySelectorAll('.group-stop-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'stopGroup', groupId: btn.dataset.groupId }, onUpdate);
+    });
+  });
+
+  container.querySelectorAll('.group-edit-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (onEditGroup) onEditGroup(btn.dataset.groupId);
+    });
+  });
+
   container.querySelectorAll('.monitor-btn.inprivate:not(.enabled)').forEach(btn => {
     btn.addEventListener('click', () => {
       chrome.runtime.sendMessage({ action: 'enableInPrivate', monitorId: btn.dataset.monitorId }, onUpdate);